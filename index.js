@@ -2,10 +2,16 @@ import {
   addClasses,
   removeClasses,
   parseOptions,
+  parseValue,
   hide,
   remove,
   hasClass,
   triggerEvent,
+  on,
+  off,
+  getFocusableElements,
+  createDeferred,
+  formDataToObject,
   getStyle,
   setStyle
 } from './remodal-helpers';
@@ -37,31 +43,12 @@ const remodalInstances = {
 const NAMESPACE = PLUGIN_NAME;
 
 /**
- * Animationstart event with vendor prefixes
+ * Is there a DOM? False while rendering on the server
  * @private
  * @const
- * @type {String}
- */
-const ANIMATIONSTART_EVENTS = [
-  'animationstart',
-  'webkitAnimationStart',
-  'MSAnimationStart',
-  'oAnimationStart'
-].map(eventName => `${eventName}.${NAMESPACE}`).join(' ');
-
-/**
- * Animationend event with vendor prefixes
- * @private
- * @const
- * @type {String}
+ * @type {Boolean}
  */
-const ANIMATIONEND_EVENTS = [
-  'animationend',
-  'webkitAnimationEnd',
-  'MSAnimationEnd',
-  'oAnimationEnd'
-].map(eventName => `${eventName}.${NAMESPACE}`).join(' ');
-
+const IS_BROWSER = typeof window !== 'undefined' && typeof document !== 'undefined';
 
 /**
  * Default settings
@@ -70,15 +57,71 @@ const ANIMATIONEND_EVENTS = [
  * @type {Object}
  */
 
-const DEFAULTS = Object.assign({
+const DEFAULTS = {
   hashTracking: true,
+  historyTracking: false,
+  historyParam: 'modal',
   closeOnConfirm: true,
   closeOnCancel: true,
   closeOnEscape: true,
   closeOnOutsideClick: true,
   modifier: '',
-  appendTo: null
-}, window.REMODAL_GLOBALS && window.REMODAL_GLOBALS.DEFAULTS);
+  appendTo: null,
+  scrollLock: true,
+  touchScroll: true,
+  onBeforeOpen: null,
+  onBeforeClose: null,
+  onOpening: null,
+  onOpened: null,
+  onClosing: null,
+  onClosed: null,
+  onConfirmation: null,
+  onCancellation: null,
+  onAction: null,
+  src: null,
+  cacheContent: true,
+  animation: 'auto',
+  animateIn: null,
+  animateOut: null,
+  animationTimeout: 3000,
+  formValidation: true,
+  onSubmit: null,
+  focusTrap: true,
+  restoreFocus: true,
+  inertBackground: true,
+  labelledBy: 'h1, h2, h3, h4, h5, h6',
+  describedBy: null,
+  native: false,
+  position: 'center',
+  swipeToClose: true,
+  swipeThreshold: 0.3,
+  swipeVelocity: 0.5,
+  interruption: 'reverse',
+  actions: {},
+  trigger: null,
+  frequency: null,
+  suppressAfter: null,
+  triggerStorage: 'localStorage'
+};
+
+/**
+ * Global settings, changed with remodal.setDefaults()
+ * @private
+ * @type {Object}
+ */
+const defaults = Object.assign({}, DEFAULTS, IS_BROWSER && window.REMODAL_GLOBALS && window.REMODAL_GLOBALS.DEFAULTS);
+
+/**
+ * Default labels of the standard buttons
+ * @private
+ * @const
+ * @type {Object}
+ */
+const BUTTON_LABELS = {
+  close: 'Close',
+  cancel: 'Cancel',
+  confirm: 'OK'
+};
 
 /**
  * States of the Remodal
@@ -95,36 +138,90 @@ const STATES = {
 
 /**
  * Reasons of the state change.
+ * close() also takes reasons of its own.
  * @private
  * @const
  * @enum {String}
  */
 const STATE_CHANGE_REASONS = {
   CONFIRMATION: 'confirmation',
-  CANCELLATION: 'cancellation'
+  CANCELLATION: 'cancellation',
+  SWIPE: 'swipe',
+  ESCAPE: 'escape',
+  OVERLAY: 'overlay',
+  CLOSE_BUTTON: 'close-button',
+  NAVIGATION: 'navigation',
+  REPLACED: 'replaced',
+  API: 'api'
 };
 
 /**
- * Is animation supported?
+ * Option callbacks by event
  * @private
  * @const
- * @type {Boolean}
+ * @type {Object}
+ */
+const EVENT_CALLBACKS = {
+  opening: 'onOpening',
+  opened: 'onOpened',
+  closing: 'onClosing',
+  closed: 'onClosed',
+  confirmation: 'onConfirmation',
+  cancellation: 'onCancellation',
+  action: 'onAction'
+};
+
+/**
+ * Values of the position option
+ * @private
+ * @const
+ * @type {String[]}
+ */
+const POSITIONS = ['center', 'left', 'right', 'top', 'bottom'];
+
+/**
+ * Axis and direction of the swipe which dismisses a drawer or sheet, by position
+ * @private
+ * @const
+ * @type {Object}
+ */
+const SWIPE_DIRECTIONS = {
+  left: { axis: 'x', sign: -1 },
+  right: { axis: 'x', sign: 1 },
+  top: { axis: 'y', sign: -1 },
+  bottom: { axis: 'y', sign: 1 }
+};
+
+/**
+ * Distance in pixels a pointer moves before a drag starts
+ * @private
+ * @const
+ * @type {Number}
+ */
+const DRAG_DISTANCE = 10;
+
+/**
+ * Elements which keep their own pointer behaviour
+ * @private
+ * @const
+ * @type {String}
  */
-const IS_ANIMATION = (function checkIsAnimation(style) {
-  return style.animationName !== undefined
-    || style.WebkitAnimationName !== undefined
-    || style.MozAnimationName !== undefined
-    || style.msAnimationName !== undefined
-    || style.OAnimationName !== undefined;
-}(document.createElement('div').style));
+const DRAG_IGNORED_ELEMENTS = 'input, textarea, select, [contenteditable], [data-remodal-no-swipe]';
 
 /**
- * Is iOS?
+ * Duration of the snap back in milliseconds
  * @private
  * @const
+ * @type {Number}
+ */
+const SNAP_BACK_DURATION = 200;
+
+/**
+ * Is iOS? Detected on first use
+ * @private
  * @type {Boolean}
  */
-const IS_IOS = /iPad|iPhone|iPod/.test(navigator.platform);
+let isIOS;
 
 /**
  * Current modal
@@ -133,6 +230,48 @@ const IS_IOS = /iPad|iPhone|iPod/.test(navigator.platform);
  */
 let current;
 
+/**
+ * Observer of modals added to and removed from the DOM
+ * @private
+ * @type {MutationObserver}
+ */
+let observer;
+
+/**
+ * Are the global listeners added?
+ * @private
+ * @type {Boolean}
+ */
+let isInitialized = false;
+
+/**
+ * Initialization waiting for DOMContentLoaded
+ * @private
+ * @type {Function}
+ */
+let pendingInit;
+
+/**
+ * The prefers-reduced-motion media query, created on first use
+ * @private
+ * @type {MediaQueryList}
+ */
+let reducedMotionQuery;
+
+/**
+ * Stack of opened modals, the topmost one is the last
+ * @private
+ * @type {Remodal[]}
+ */
+const stack = [];
+
+/**
+ * Keys of the trigger records whose view is counted for this page load
+ * @private
+ * @type {Set<String>}
+ */
+const countedViews = new Set();
+
 /**
  * Scrollbar position
  * @private
@@ -140,109 +279,253 @@ let current;
  */
 let scrollTop;
 
+/**
+ * Number of instances holding the scroll lock
+ * @private
+ * @type {Number}
+ */
+let lockCount = 0;
 
-function getPrefixedStyles(elem, styleName) {
-  const prefixes = ['', '-webkit-', '-moz-', '-o-', '-ms-'];
-  let matchingStyle;
+/**
+ * Inline styles replaced by the scroll lock
+ * @private
+ * @type {Array<{element: Element, styles: Object}>}
+ */
+let lockedStyles = [];
 
-  prefixes.forEach(prefix => {
-    const style = getStyle(elem, prefix + styleName);
-    if (style && style.length) {
-      matchingStyle = style;
-    }
-  });
+/**
+ * Scroll position of the locked page
+ * @private
+ * @type {Number}
+ */
+let lockedScrollY = 0;
 
-  return matchingStyle;
-}
 
 /**
- * Returns an animation duration
+ * Writes a warning to the console
  * @private
- * @param {Element} elem
- * @returns {Number}
+ * @param {String} message
  */
-function getAnimationDuration(elem) {
-  if (IS_ANIMATION && getPrefixedStyles(elem, 'animation-name') === 'none') {
-    return 0;
+function warn(message) {
+  if (typeof console !== 'undefined') {
+    // eslint-disable-next-line
+    console.warn(`${PLUGIN_NAME}: ${message}`);
   }
+}
+
+/**
+ * Warns about options which Remodal doesn't know
+ * @private
+ * @param {Object} options
+ */
+function validateOptions(options) {
+  const keys = Object.keys(DEFAULTS);
+
+  Object.keys(options || {}).forEach(key => {
+    if (keys.includes(key)) {
+      return;
+    }
 
-  let duration = getPrefixedStyles(elem, 'animation-duration') || '0s';
-  let delay = getStyle(elem, 'animation-delay') || '0s';
-  let iterationCount = getStyle(elem, 'animation-iteration-count') || '1';
+    const suggestion = keys.find(known => known.toLowerCase() === key.toLowerCase());
+
+    warn(suggestion
+      ? `unknown option "${key}", did you mean "${suggestion}"?`
+      : `unknown option "${key}"`);
+  });
 
-  let max;
-  let len;
-  let num;
-  let i;
+  if (options && options.position !== undefined && !POSITIONS.includes(options.position)) {
+    warn(`unknown position "${options.position}", expected one of ${POSITIONS.join(', ')}`);
+  }
 
-  duration = duration.split(', ');
-  delay = delay.split(', ');
-  iterationCount = iterationCount.split(', ');
+  if (options && options.interruption !== undefined && !['reverse', 'queue'].includes(options.interruption)) {
+    warn(`unknown interruption "${options.interruption}", expected reverse or queue`);
+  }
+}
 
-  // The 'duration' size is the same as the 'delay' size
-  for (i = 0, len = duration.length, max = Number.NEGATIVE_INFINITY; i < len; i += 1) {
-    num = parseFloat(duration[i]) * parseInt(iterationCount[i], 10) + parseFloat(delay[i]);
+/**
+ * Reads options from the data-remodal-options attribute
+ * and from attributes per option, e.g. data-remodal-close-on-escape
+ * @private
+ * @param {Element} modal
+ * @returns {Object}
+ */
+function getElementOptions(modal) {
+  const str = modal.getAttribute('data-remodal-options');
+  let options = {};
 
-    if (num > max) {
-      max = num;
+  if (str) {
+    try {
+      options = parseOptions(str);
+    } catch (err) {
+      warn(`can't parse data-remodal-options "${str}": ${err.message}`);
     }
   }
 
-  return max;
+  validateOptions(options);
+
+  Object.keys(DEFAULTS).forEach(key => {
+    const attribute = `data-${namespacify(key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`))}`;
+
+    if (modal.hasAttribute(attribute)) {
+      options[key] = parseValue(modal.getAttribute(attribute));
+    }
+  });
+
+  return options;
 }
 
+/**
+ * Returns the longest of comma separated CSS durations in milliseconds
+ * @private
+ * @param {String} durations
+ * @param {String} delays
+ * @param {String} [iterationCounts]
+ * @returns {Number}
+ */
+function getLongestDuration(durations, delays, iterationCounts = '1') {
+  const delayList = delays.split(', ');
+  const countList = iterationCounts.split(', ');
+
+  return durations.split(', ').reduce((max, duration, i) => {
+    const count = countList[i % countList.length];
+    const iterations = count === 'infinite' ? Infinity : parseFloat(count);
+    const num = (parseFloat(duration) * iterations || 0) + (parseFloat(delayList[i % delayList.length]) || 0);
+
+    return Math.max(max, num * 1000);
+  }, 0);
+}
 
 /**
- * Returns a scrollbar width
+ * Returns a duration of CSS animations and transitions of an element in milliseconds.
+ * Used in browsers without Element#getAnimations.
  * @private
+ * @param {Element} elem
  * @returns {Number}
  */
-function getScrollbarWidth() {
-  // Nice way to get the true document height
-  // https://stackoverflow.com/a/1147768/6523739
-  const { body, documentElement } = document;
-
-  const docHeight = Math.max(
-    body.scrollHeight,
-    body.offsetHeight,
-    documentElement.clientHeight,
-    documentElement.scrollHeight,
-    documentElement.offsetHeight
-  );
+function getAnimationDuration(elem) {
+  const style = window.getComputedStyle(elem);
+  const animation = !style.animationName || style.animationName === 'none'
+    ? 0
+    : getLongestDuration(style.animationDuration, style.animationDelay, style.animationIterationCount);
+  const transition = style.transitionDuration
+    ? getLongestDuration(style.transitionDuration, style.transitionDelay)
+    : 0;
+
+  return Math.max(animation, transition);
+}
+
+/**
+ * Returns promises of the running CSS animations and transitions of the elements
+ * @private
+ * @param {Element[]} elements
+ * @returns {Promise[]}
+ */
+function getRunningAnimations(elements) {
+  if (typeof Element.prototype.getAnimations === 'function') {
+    return elements.reduce((list, element) => (
+      list.concat(element.getAnimations().map(animation => animation.finished))
+    ), []);
+  }
 
-  const winHeight = window.innerHeight;
+  const duration = Math.max(0, ...elements.map(getAnimationDuration));
 
-  if (docHeight <= winHeight) {
-    return 0;
+  if (!duration) {
+    return [];
   }
 
-  const outer = document.createElement('div');
-  const inner = document.createElement('div');
+  // An infinite animation is ended by the timeout of syncWithAnimation
+  return [new Promise(resolve => {
+    if (isFinite(duration)) {
+      setTimeout(resolve, duration);
+    }
+  })];
+}
 
-  setStyle(outer, {
-    visibility: 'hidden',
-    width: '100px'
-  });
+/**
+ * Detects iOS, which needs its own scroll lock
+ * @private
+ * @returns {Boolean}
+ */
+function checkIsIOS() {
+  if (isIOS === undefined) {
+    isIOS = /iPad|iPhone|iPod/.test(navigator.platform)
+      || (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+  }
+
+  return isIOS;
+}
+
+/**
+ * Checks whether the browser can open a <dialog> as a modal
+ * @private
+ * @returns {Boolean}
+ */
+function supportsDialog() {
+  return typeof HTMLDialogElement === 'function'
+    && typeof HTMLDialogElement.prototype.showModal === 'function';
+}
 
-  document.body.appendChild(outer);
+/**
+ * Returns the prefers-reduced-motion media query
+ * @private
+ * @returns {MediaQueryList|null}
+ */
+function getReducedMotionQuery() {
+  if (reducedMotionQuery === undefined) {
+    reducedMotionQuery = window.matchMedia
+      ? window.matchMedia('(prefers-reduced-motion: reduce)')
+      : null;
+  }
 
-  const widthNoScroll = outer.offsetWidth;
+  return reducedMotionQuery;
+}
+
+/**
+ * Returns how much motion an instance shows, depending on the animation option:
+ * `auto` follows the prefers-reduced-motion media query,
+ * `reduced` skips the animateIn/animateOut hooks but still waits for CSS,
+ * `none` doesn't wait for anything
+ * @private
+ * @param {Remodal} instance
+ * @returns {String} full, reduced or none
+ */
+function getMotion(instance) {
+  const { animation } = instance.settings;
 
-  // Force scrollbars
-  setStyle(outer, { overflow: 'scroll' });
+  if (animation === 'none' || animation === 'reduced') {
+    return animation;
+  }
 
-  // Add inner div
-  setStyle(inner, { width: '100%' });
-  outer.appendChild(inner);
+  const query = getReducedMotionQuery();
 
-  const widthWithScroll = inner.offsetWidth;
+  return query && query.matches ? 'reduced' : 'full';
+}
 
-  // Remove divs
-  remove(outer);
+/**
+ * Sets a class of the motion on the modal and its wrapper, e.g. remodal-motion-reduced
+ * @private
+ * @param {Remodal} instance
+ */
+function updateMotionClass(instance) {
+  const motion = getMotion(instance);
 
-  return widthNoScroll - widthWithScroll;
+  [instance.modal, instance.wrapper].forEach(element => {
+    ['reduced', 'none'].forEach(value => {
+      element.classList.toggle(namespacify('motion', value), value === motion);
+    });
+  });
 }
 
+/**
+ * Stops waiting for the animation of an instance
+ * @private
+ * @param {Remodal} instance
+ */
+function cancelAnimation(instance) {
+  if (instance.pendingAnimation) {
+    instance.pendingAnimation();
+  }
+}
 
 /**
  * Generates a string separated by dashes and prefixed with NAMESPACE
@@ -261,189 +544,1751 @@ function namespacify(...args) {
 }
 
 /**
- * Toggle the screen lock
- * @param {String} action
+ * Blocks touch scrolling of the page behind the current modal
  * @private
+ * @param {Event} e
  */
-function screenLockToggle(action) {
-  if (IS_IOS) return;
-
-  const html = document.querySelector('html');
-  const lockedClass = namespacify('is-locked');
-  const { body } = document;
-  let paddingRight;
-  let bodyPaddingRight;
-  let scrollBarWidth;
-
-  if (hasClass(html, lockedClass)) {
-    bodyPaddingRight = parseInt(getStyle(body, 'padding-right'), 10);
-    scrollBarWidth = getScrollbarWidth();
+function handleTouchMove(e) {
+  const isInModal = current && current.wrapper.contains(e.target);
 
-    paddingRight = (action === 'lock')
-      ? bodyPaddingRight - scrollBarWidth
-      : bodyPaddingRight + scrollBarWidth;
-
-    setStyle(body, {
-      'padding-right': `${paddingRight}px`
-    });
-
-    if (action === 'lock') {
-      addClasses(html, lockedClass);
-    } else {
-      removeClasses(html, lockedClass);
-    }
+  if (!isInModal || !current.settings.touchScroll) {
+    e.preventDefault();
   }
 }
 
-
 /**
- * Sets a state for an instance
+ * Changes inline styles of an element, the previous values are restored on unlock
  * @private
- * @param {Remodal} instance
- * @param {STATES} state
- * @param {Boolean} isSilent If true, Remodal does not trigger events
- * @param {String} Reason of a state change.
+ * @param {Element} element
+ * @param {Object} styles
  */
-function setState(instance, state, isSilent, reason) {
-  const newState = namespacify('is', state);
+function setLockStyle(element, styles) {
+  const previous = {};
 
-  const allStates = Object.values(STATES)
-    .map((thisState) => namespacify('is', thisState))
-    .join(' ');
-
-  const instEls = [
-    instance.bg,
-    instance.overlay,
-    instance.wrapper,
-    instance.modal
-  ];
-
-  instEls.forEach(element => {
-    removeClasses(element, allStates);
-    addClasses(element, newState);
+  Object.keys(styles).forEach(property => {
+    previous[property] = element.style[property];
   });
 
-  // eslint-disable-next-line
-  instance.state = state;
-
-  if (!isSilent) {
-    triggerEvent(instance.modal, state, { reason });
-  }
+  lockedStyles.push({ element, styles: previous });
+  setStyle(element, styles);
 }
 
 /**
- * Synchronizes with the animation
- * @param {Function} doBeforeAnimation
- * @param {Function} doAfterAnimation
+ * Locks the page scroll for an instance. The lock is reference counted,
+ * so the page stays locked until the last instance gives it back.
+ * @private
  * @param {Remodal} instance
  */
-function syncWithAnimation(doBeforeAnimation, doAfterAnimation, instance) {
-  let runningAnimationsCount = 0;
+function lockScroll(instance) {
+  const html = document.documentElement;
+  const { body } = document;
 
-  const handleAnimationStart = function _handleAnimationStart(e) {
-    if (e.target !== this) {
-      return;
-    }
+  if (instance.isScrollLocked || !instance.settings.scrollLock) {
+    return;
+  }
 
-    runningAnimationsCount += 1;
-  };
+  // eslint-disable-next-line
+  instance.isScrollLocked = true;
+  lockCount += 1;
 
-  const handleAnimationEnd = function _handleAnimationEnd(e) {
-    if (e.target !== this) {
-      return;
-    }
+  if (lockCount > 1) {
+    return;
+  }
 
-    // eslint-disable-next-line
-    const noMoreAnimations = (--runningAnimationsCount === 0);
+  const scrollbarWidth = window.innerWidth - html.clientWidth;
 
-    if (noMoreAnimations) {
-      // Remove event listeners
-      ['bg', 'overlay', 'wrapper', 'modal'].forEach(elemName => {
-        instance[elemName].removeNSEventListener(`${ANIMATIONSTART_EVENTS} ${ANIMATIONEND_EVENTS}`);
-      });
+  lockedScrollY = window.pageYOffset;
 
-      doAfterAnimation();
-    }
-  };
+  // Fixed elements lose the scrollbar as well as the body
+  if (scrollbarWidth > 0) {
+    [body, ...document.querySelectorAll('[data-remodal-fixed]')].forEach(element => {
+      const paddingRight = parseFloat(getStyle(element, 'padding-right')) || 0;
 
-  ['bg', 'overlay', 'wrapper', 'modal'].forEach(elemName => {
-    instance[elemName].addNSEventListener(ANIMATIONSTART_EVENTS, handleAnimationStart);
-    instance[elemName].addNSEventListener(ANIMATIONEND_EVENTS, handleAnimationEnd);
-  });
+      setLockStyle(element, { paddingRight: `${paddingRight + scrollbarWidth}px` });
+    });
+  }
 
-  doBeforeAnimation();
+  setLockStyle(html, { overflow: 'hidden' });
 
-  // If the animation is not supported by a browser or its duration is 0
-  if (
-    getAnimationDuration(instance.bg) === 0
-    && getAnimationDuration(instance.overlay) === 0
-    && getAnimationDuration(instance.wrapper) === 0
-    && getAnimationDuration(instance.modal) === 0
-  ) {
-    // Remove event listeners
-    ['bg', 'overlay', 'wrapper', 'modal'].forEach(elemName => {
-      instance[elemName].removeNSEventListener(`${ANIMATIONSTART_EVENTS} ${ANIMATIONEND_EVENTS}`);
+  // iOS ignores overflow: hidden, so the body is pinned instead
+  if (checkIsIOS()) {
+    setLockStyle(body, {
+      position: 'fixed',
+      top: `-${lockedScrollY}px`,
+      left: '0',
+      right: '0'
     });
-
-    doAfterAnimation();
   }
+
+  addClasses(html, namespacify('is-locked'));
+  on(document, 'touchmove.remodal', handleTouchMove, { passive: false });
 }
 
 /**
- * Closes immediately
+ * Gives back the scroll lock of an instance
  * @private
  * @param {Remodal} instance
  */
-function halt(instance) {
-  if (instance.state === STATES.CLOSED) {
+function unlockScroll(instance) {
+  if (!instance.isScrollLocked) {
     return;
   }
 
-  ['bg', 'overlay', 'wrapper', 'modal'].forEach(elemName => {
-    instance[elemName].removeNSEventListener(`${ANIMATIONSTART_EVENTS} ${ANIMATIONEND_EVENTS}`);
-  });
+  // eslint-disable-next-line
+  instance.isScrollLocked = false;
+  lockCount -= 1;
+
+  if (lockCount > 0) {
+    return;
+  }
 
-  removeClasses(instance.bg, instance.settings.modifier);
-  removeClasses(instance.overlay, instance.settings.modifier);
+  lockedStyles.reverse().forEach(({ element, styles }) => setStyle(element, styles));
+  lockedStyles = [];
 
-  hide(instance.overlay);
-  hide(instance.wrapper);
+  removeClasses(document.documentElement, namespacify('is-locked'));
+  off(document, 'touchmove.remodal', handleTouchMove);
 
-  screenLockToggle('unlock');
-  setState(instance, STATES.CLOSED, true);
+  if (checkIsIOS()) {
+    window.scrollTo(0, lockedScrollY);
+  }
 }
 
 
 /**
- * Handles the hashchange event
+ * Returns the position of an instance, center for unknown values
  * @private
- * @listens hashchange
+ * @param {Remodal} instance
+ * @returns {String}
  */
-function handleHashChangeEvent() {
-  const id = window.location.hash.replace('#', '');
-  let instance;
-  let elem;
+function getPosition(instance) {
+  const { position } = instance.settings;
 
-  if (!id) {
-    // Check if we have currently opened modal and animation was completed
-    if (current && current.state === STATES.OPENED && current.settings.hashTracking) {
-      current.close();
-    }
-  } else {
-    // Catch syntax error if your hash is bad
-    try {
-      elem = document.querySelector(`[data-remodal-id="${id}"]`);
-    } catch (err) {
-      throw new Error(err);
-    }
+  return POSITIONS.includes(position) ? position : 'center';
+}
+
+/**
+ * Returns classes the shared overlay takes from the current modal
+ * @private
+ * @param {Remodal} instance
+ * @returns {String}
+ */
+function getOverlayClasses(instance) {
+  return `${instance.settings.modifier} ${namespacify('position', getPosition(instance))}`;
+}
+
+/**
+ * Returns the axis and direction of the dismissing swipe,
+ * undefined if the modal can't be swiped away
+ * @private
+ * @param {Remodal} instance
+ * @returns {{axis: String, sign: Number}|undefined}
+ */
+function getSwipeDirection(instance) {
+  return instance.settings.swipeToClose ? SWIPE_DIRECTIONS[getPosition(instance)] : undefined;
+}
+
+/**
+ * Leaves panning across the swipe to the browser.
+ * Sheets take over vertical panning, scrollable content needs data-remodal-no-swipe.
+ * @private
+ * @param {Remodal} instance
+ */
+function updateTouchAction(instance) {
+  const direction = getSwipeDirection(instance);
+
+  if (direction) {
+    setStyle(instance.modal, { touchAction: direction.axis === 'x' ? 'pan-y' : 'pan-x' });
+  } else if (instance.modal.style.touchAction) {
+    setStyle(instance.modal, { touchAction: '' });
+  }
+}
+
+/**
+ * Moves the modal back in place after a drag which didn't dismiss it
+ * @private
+ * @param {Remodal} instance
+ */
+function snapBack(instance) {
+  const { modal } = instance;
+  const from = modal.style.transform;
+
+  // eslint-disable-next-line
+  instance.isDragged = false;
+  setStyle(modal, { transform: '' });
+
+  if (from && getMotion(instance) === 'full' && typeof modal.animate === 'function') {
+    modal.animate([{ transform: from }, { transform: 'none' }], {
+      duration: SNAP_BACK_DURATION,
+      easing: 'ease-out'
+    });
+  }
+}
+
+/**
+ * Stops a drag and drops the offset it left on the modal
+ * @private
+ * @param {Remodal} instance
+ */
+function resetDrag(instance) {
+  if (instance.drag && instance.drag.isDragging) {
+    removeClasses(instance.modal, namespacify('is-dragging'));
+  }
+
+  if (instance.isDragged) {
+    setStyle(instance.modal, { transform: '' });
+  }
+
+  // eslint-disable-next-line
+  instance.drag = null;
+  // eslint-disable-next-line
+  instance.isDragged = false;
+}
+
+/**
+ * Starts tracking a pointer which may drag the modal
+ * @private
+ * @param {Remodal} instance
+ * @param {PointerEvent} e
+ */
+function handlePointerDown(instance, e) {
+  // eslint-disable-next-line
+  instance.isSwiped = false;
+
+  if (
+    !getSwipeDirection(instance)
+    || instance.state !== STATES.OPENED
+    || !e.isPrimary
+    || e.button > 0
+    || (e.target.closest && e.target.closest(DRAG_IGNORED_ELEMENTS))
+  ) {
+    return;
+  }
+
+  // eslint-disable-next-line
+  instance.drag = {
+    pointerId: e.pointerId,
+    x: e.clientX,
+    y: e.clientY,
+    time: e.timeStamp,
+    distance: 0,
+    velocity: 0,
+    isDragging: false
+  };
+}
+
+/**
+ * Moves the modal along with the pointer, towards its edge only
+ * @private
+ * @param {Remodal} instance
+ * @param {PointerEvent} e
+ */
+function handlePointerMove(instance, e) {
+  const { drag, modal } = instance;
+  const direction = getSwipeDirection(instance);
+
+  if (!drag || e.pointerId !== drag.pointerId) {
+    return;
+  }
+
+  if (!direction || instance.state !== STATES.OPENED) {
+    resetDrag(instance);
+    return;
+  }
+
+  const dx = e.clientX - drag.x;
+  const dy = e.clientY - drag.y;
+  const along = direction.axis === 'x' ? dx : dy;
+  const across = direction.axis === 'x' ? dy : dx;
+
+  if (!drag.isDragging) {
+    if (Math.abs(along) < DRAG_DISTANCE && Math.abs(across) < DRAG_DISTANCE) {
+      return;
+    }
+
+    // Moves across the axis or away from the edge are left to the browser
+    if (Math.abs(across) > Math.abs(along) || along * direction.sign < 0) {
+      resetDrag(instance);
+      return;
+    }
+
+    drag.isDragging = true;
+    addClasses(modal, namespacify('is-dragging'));
+
+    if (modal.setPointerCapture) {
+      modal.setPointerCapture(e.pointerId);
+    }
+  }
+
+  const distance = Math.max(0, along * direction.sign);
+  const elapsed = e.timeStamp - drag.time;
+
+  if (elapsed > 0) {
+    drag.velocity = (distance - drag.distance) / elapsed;
+  }
+
+  drag.distance = distance;
+  drag.time = e.timeStamp;
+
+  // eslint-disable-next-line
+  instance.isDragged = true;
+  setStyle(modal, {
+    transform: `translate${direction.axis.toUpperCase()}(${distance * direction.sign}px)`
+  });
+}
+
+/**
+ * Dismisses the modal when it's dragged far or fast enough, otherwise snaps it back
+ * @private
+ * @param {Remodal} instance
+ * @param {PointerEvent} e
+ */
+function handlePointerUp(instance, e) {
+  const { drag, modal, settings } = instance;
+  const direction = getSwipeDirection(instance);
+
+  if (!drag || e.pointerId !== drag.pointerId) {
+    return;
+  }
+
+  // eslint-disable-next-line
+  instance.drag = null;
+
+  if (!drag.isDragging) {
+    return;
+  }
+
+  removeClasses(modal, namespacify('is-dragging'));
+
+  // The click which follows the drag isn't meant for the content
+  // eslint-disable-next-line
+  instance.isSwiped = true;
+
+  const size = direction && direction.axis === 'x' ? modal.offsetWidth : modal.offsetHeight;
+
+  // A pointer which rests before its release has no velocity left
+  const velocity = e.timeStamp - drag.time > 100 ? 0 : drag.velocity;
+
+  if (
+    e.type !== 'pointerup'
+    || !direction
+    || (drag.distance <= size * settings.swipeThreshold && velocity <= settings.swipeVelocity)
+  ) {
+    snapBack(instance);
+    return;
+  }
+
+  instance.close(STATE_CHANGE_REASONS.SWIPE, undefined, e).then(() => {
+    // A vetoed close leaves the modal where it was dragged
+    if (instance.state === STATES.OPENED) {
+      snapBack(instance);
+    }
+  });
+}
+
+/**
+ * Binds the drag to dismiss of drawers and sheets
+ * @private
+ * @param {Remodal} instance
+ */
+function bindSwipe(instance) {
+  const { modal } = instance;
+
+  on(modal, 'pointerdown.remodal', e => handlePointerDown(instance, e));
+  on(modal, 'pointermove.remodal', e => handlePointerMove(instance, e));
+  on(modal, 'pointerup.remodal pointercancel.remodal', e => handlePointerUp(instance, e));
+
+  on(modal, 'click.remodal', (e) => {
+    if (instance.isSwiped) {
+      // eslint-disable-next-line
+      instance.isSwiped = false;
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }, true);
+}
+
+/**
+ * Points an ARIA attribute of the modal to an element matching the selector
+ * @private
+ * @param {Remodal} instance
+ * @param {String} attribute
+ * @param {String} selector
+ * @param {String} suffix Suffix of a generated id
+ */
+function setAriaReference(instance, attribute, selector, suffix) {
+  const elem = selector && instance.modal.querySelector(selector);
+
+  if (!elem || instance.modal.hasAttribute(attribute)) {
+    return;
+  }
+
+  if (!elem.id) {
+    elem.id = namespacify(instance.index, suffix);
+  }
+
+  instance.modal.setAttribute(attribute, elem.id);
+}
+
+/**
+ * Adds dialog semantics to the modal
+ * @private
+ * @param {Remodal} instance
+ */
+function setDialogAttributes(instance) {
+  const { modal, settings } = instance;
+
+  if (!modal.hasAttribute('role')) {
+    modal.setAttribute('role', 'dialog');
+  }
+
+  modal.setAttribute('aria-modal', 'true');
+
+  setAriaReference(instance, 'aria-labelledby', settings.labelledBy, 'title');
+  setAriaReference(instance, 'aria-describedby', settings.describedBy, 'description');
+}
+
+/**
+ * Hides everything but the modal from assistive technologies and the keyboard
+ * @private
+ * @param {Remodal} instance
+ */
+function makeBackgroundInert(instance) {
+  const { body } = document;
+  const inertElements = [];
+
+  for (let node = instance.wrapper; node && node !== body; node = node.parentNode) {
+    [...node.parentNode.children].forEach(sibling => {
+      if (
+        sibling === node
+        || sibling === instance.overlay
+        || sibling.hasAttribute('inert')
+        || sibling.getAttribute('aria-hidden') === 'true'
+      ) {
+        return;
+      }
+
+      sibling.setAttribute('inert', '');
+      sibling.setAttribute('aria-hidden', 'true');
+      inertElements.push(sibling);
+    });
+  }
+
+  // eslint-disable-next-line
+  instance.inertElements = inertElements;
+}
+
+/**
+ * Gives back the elements hidden by makeBackgroundInert
+ * @private
+ * @param {Remodal} instance
+ */
+function releaseBackground(instance) {
+  (instance.inertElements || []).forEach(elem => {
+    elem.removeAttribute('inert');
+    elem.removeAttribute('aria-hidden');
+  });
+
+  // eslint-disable-next-line
+  instance.inertElements = [];
+}
+
+/**
+ * Keeps the background of the current modal inert, modals underneath it
+ * are part of that background and the page is only given back with the last one
+ * @private
+ * @param {Remodal} [closed] Instance which has just left the stack
+ */
+function updateBackground(closed) {
+  if (closed) {
+    releaseBackground(closed);
+  }
+
+  stack.forEach(releaseBackground);
+
+  // The top layer of a native dialog does it on its own
+  if (current && !current.isNative && current.settings.inertBackground) {
+    makeBackgroundInert(current);
+  }
+}
+
+/**
+ * Returns the focus to the element which opened the modal,
+ * or to the modal underneath
+ * @private
+ * @param {Remodal} instance
+ */
+function restoreFocus(instance) {
+  const { opener } = instance;
+
+  // eslint-disable-next-line
+  instance.opener = null;
+
+  if (instance.settings.restoreFocus && opener && opener !== document.body && document.body.contains(opener)) {
+    opener.focus();
+  } else if (current) {
+    current.modal.focus();
+  }
+}
+
+/**
+ * Keeps the Tab key focus inside the current modal
+ * @private
+ * @param {Event} e
+ */
+function trapFocus(e) {
+  const focusable = getFocusableElements(current.modal);
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = document.activeElement;
+
+  if (!focusable.length) {
+    e.preventDefault();
+    current.modal.focus();
+  } else if (e.shiftKey && (active === first || active === current.modal || !current.modal.contains(active))) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && (active === last || !current.modal.contains(active))) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+/**
+ * Returns elements which take part in a state change of an instance.
+ * The shared overlay and background only follow the instance
+ * when no other modal is stacked with it.
+ * @private
+ * @param {Remodal} instance
+ * @returns {Element[]}
+ */
+function getStateElements(instance) {
+  const isAlone = stack.every(other => other === instance);
+  const elements = isAlone
+    ? [instance.bg, instance.isNative ? null : instance.overlay, instance.wrapper, instance.modal]
+    : [instance.wrapper, instance.modal];
+
+  // A <dialog> modal is its own wrapper
+  return elements.filter((element, i) => element && elements.indexOf(element) === i);
+}
+
+/**
+ * Puts the overlay right below the topmost stacked modal
+ * @private
+ * @param {Element} overlay
+ */
+function updateOverlayOrder(overlay) {
+  const top = stack[stack.length - 1];
+  const zIndex = top && top.wrapper.style.zIndex;
+
+  setStyle(overlay, { zIndex: zIndex ? zIndex - 1 : '' });
+}
+
+/**
+ * Pushes an instance on top of the stack
+ * @private
+ * @param {Remodal} instance
+ */
+function pushToStack(instance) {
+  const below = stack[stack.length - 1];
+
+  if (below) {
+    const zIndex = (parseInt(getStyle(below.wrapper, 'z-index'), 10) || 0) + 2;
+
+    removeClasses(instance.overlay, getOverlayClasses(below));
+    setStyle(instance.wrapper, { zIndex });
+  }
+
+  stack.push(instance);
+  current = instance;
+
+  updateOverlayOrder(instance.overlay);
+}
+
+/**
+ * Removes an instance from the stack and passes
+ * the current modal to the one underneath
+ * @private
+ * @param {Remodal} instance
+ */
+function removeFromStack(instance) {
+  const index = stack.indexOf(instance);
+
+  if (index === -1) {
+    return;
+  }
+
+  stack.splice(index, 1);
+  current = stack[stack.length - 1];
+
+  setStyle(instance.wrapper, { zIndex: '' });
+  updateOverlayOrder(instance.overlay);
+
+  if (current) {
+    removeClasses(instance.overlay, getOverlayClasses(instance));
+    addClasses(instance.overlay, getOverlayClasses(current));
+  }
+}
+
+/**
+ * Starts tracking a transition of an instance to the state.
+ * A transition which is still pending gets settled as interrupted.
+ * @private
+ * @param {Remodal} instance
+ * @param {STATES} state The final state of the transition
+ * @returns {Promise<Boolean>}
+ */
+function startTransition(instance, state) {
+  const deferred = createDeferred();
+
+  settleTransition(instance);
+
+  // eslint-disable-next-line
+  instance.transition = Object.assign(deferred, { state });
+
+  return deferred.promise;
+}
+
+/**
+ * Resolves a pending transition with true if the instance
+ * has reached its final state and with false otherwise
+ * @private
+ * @param {Remodal} instance
+ */
+function settleTransition(instance) {
+  const { transition } = instance;
+
+  if (!transition) {
+    return;
+  }
+
+  // eslint-disable-next-line
+  instance.transition = null;
+  transition.resolve(instance.state === transition.state);
+}
+
+/**
+ * Queues a request made during a transition, replacing the one queued before
+ * @private
+ * @param {Remodal} instance
+ * @param {String} action open or close
+ * @param {Array} args Arguments of the action
+ * @returns {Promise<Boolean>} Resolves with the result of the request,
+ * or with false if a later request replaced it
+ */
+function enqueue(instance, action, args) {
+  const deferred = createDeferred();
+
+  dropQueue(instance);
+
+  // eslint-disable-next-line
+  instance.queue = Object.assign(deferred, { action, args });
+
+  return deferred.promise;
+}
+
+/**
+ * Drops the queued request of an instance
+ * @private
+ * @param {Remodal} instance
+ */
+function dropQueue(instance) {
+  const { queue } = instance;
+
+  if (queue) {
+    // eslint-disable-next-line
+    instance.queue = null;
+    queue.resolve(false);
+  }
+}
+
+/**
+ * Runs the queued request of an instance
+ * @private
+ * @param {Remodal} instance
+ */
+function runQueue(instance) {
+  const { queue } = instance;
+
+  if (!queue || instance.state === STATES.OPENING || instance.state === STATES.CLOSING) {
+    return;
+  }
+
+  // eslint-disable-next-line
+  instance.queue = null;
+  instance[queue.action](...queue.args).then(queue.resolve);
+}
+
+/**
+ * Checks whether requests made during a transition wait for its end
+ * @private
+ * @param {Remodal} instance
+ * @returns {Boolean}
+ */
+function isQueued(instance) {
+  return instance.settings.interruption === 'queue';
+}
+
+/**
+ * Marks an instance as busy or idle
+ * @private
+ * @param {Remodal} instance
+ * @param {Boolean} isBusy
+ */
+function setBusy(instance, isBusy) {
+  const busyClass = namespacify('is-busy');
+
+  // eslint-disable-next-line
+  instance.isBusy = isBusy;
+
+  if (isBusy) {
+    addClasses(instance.modal, busyClass);
+    instance.modal.setAttribute('aria-busy', 'true');
+  } else {
+    removeClasses(instance.modal, busyClass);
+    instance.modal.removeAttribute('aria-busy');
+  }
+}
+
+/**
+ * Confirms a modal. A form inside the modal is validated first,
+ * its data goes to the confirmation event and the onSubmit callback.
+ * @private
+ * @param {Remodal} instance
+ * @param {HTMLFormElement} [form]
+ * @param {Event} [event] The click or submit
+ */
+function confirmModal(instance, form = instance.modal.querySelector('form'), event) {
+  const { formValidation, onSubmit, closeOnConfirm } = instance.settings;
+  let formData;
+  let data;
+
+  // Blocks double submits
+  if (instance.isBusy) {
+    return;
+  }
+
+  if (form) {
+    if (formValidation && !form.checkValidity()) {
+      const invalid = [...form.elements].find(el => el.willValidate && !el.validity.valid);
+
+      if (form.reportValidity) {
+        form.reportValidity();
+      }
+
+      if (invalid) {
+        invalid.focus();
+      }
+
+      return;
+    }
+
+    formData = new FormData(form);
+    data = formDataToObject(formData);
+  }
+
+  emit(instance, STATE_CHANGE_REASONS.CONFIRMATION, form ? { data, formData } : {});
+
+  if (typeof onSubmit !== 'function') {
+    if (closeOnConfirm) {
+      instance.close(STATE_CHANGE_REASONS.CONFIRMATION, data, event);
+    }
+
+    return;
+  }
+
+  setBusy(instance, true);
+
+  Promise.resolve()
+    .then(() => onSubmit.call(instance, data, formData, instance))
+    .then(result => {
+      setBusy(instance, false);
+
+      // Returning false keeps the modal open
+      if (result !== false && closeOnConfirm) {
+        instance.close(STATE_CHANGE_REASONS.CONFIRMATION, data, event);
+      }
+    }, error => {
+      setBusy(instance, false);
+      emit(instance, 'submiterror', { error, data, formData });
+    });
+}
+
+/**
+ * Runs a custom action, e.g. data-remodal-action="archive".
+ * The action event carries the name and the data-* values of the button,
+ * preventing it keeps the modal open, as does `actions: { archive: false }`.
+ * @private
+ * @param {Remodal} instance
+ * @param {String} action
+ * @param {Element} button
+ * @param {Event} e
+ */
+function runAction(instance, action, button, e) {
+  const data = Object.assign({}, button.dataset);
+
+  delete data.remodalAction;
+
+  if (emit(instance, 'action', { action, data, event: e }, true) && instance.settings.actions[action] !== false) {
+    instance.close(action, data, e);
+  }
+}
+
+/**
+ * Handles the data-remodal-action elements and the forms of an instance,
+ * including the ones added later on
+ * @private
+ * @param {Remodal} instance
+ */
+function bindActions(instance) {
+  on(instance.wrapper, 'click.remodal', e => {
+    const button = e.target.closest && e.target.closest('[data-remodal-action]');
+
+    if (!button || !instance.modal.contains(button)) {
+      return;
+    }
+
+    const action = button.getAttribute('data-remodal-action');
+
+    e.preventDefault();
+
+    if (action === 'close') {
+      instance.close(STATE_CHANGE_REASONS.CLOSE_BUTTON, undefined, e);
+    } else if (action === 'cancel') {
+      emit(instance, STATE_CHANGE_REASONS.CANCELLATION);
+
+      if (instance.settings.closeOnCancel) {
+        instance.close(STATE_CHANGE_REASONS.CANCELLATION, undefined, e);
+      }
+    } else if (action === 'confirm') {
+      confirmModal(instance, button.form || undefined, e);
+    } else if (action) {
+      runAction(instance, action, button, e);
+    }
+  });
+
+  // Submitting a form confirms the modal
+  on(instance.wrapper, 'submit.remodal', e => {
+    if (instance.modal.contains(e.target)) {
+      e.preventDefault();
+      confirmModal(instance, e.target, e);
+    }
+  });
+}
+
+/**
+ * Returns the source of the lazy content of an instance
+ * @private
+ * @param {Remodal} instance
+ * @returns {String|Function|null}
+ */
+function getContentSource(instance) {
+  return instance.settings.src || instance.modal.getAttribute('data-remodal-src');
+}
+
+/**
+ * Fetches the content of a modal
+ * @private
+ * @param {String} url
+ * @returns {Promise<String>}
+ */
+function fetchContent(url) {
+  return window.fetch(url).then(response => {
+    if (!response.ok) {
+      throw new Error(`Remodal can't load ${url}: ${response.status} ${response.statusText}`);
+    }
+
+    return response.text();
+  });
+}
+
+/**
+ * Dispatches an event of an instance on the modal and calls its option callback.
+ * A bubbling remodal:<type> event follows for listeners higher up, e.g. on the document.
+ * @private
+ * @param {Remodal} instance
+ * @param {String} type
+ * @param {Object} [detail]
+ * @param {Boolean} [cancelable]
+ * @returns {Boolean} False if a listener has prevented the default action
+ */
+function emit(instance, type, detail = {}, cancelable = false) {
+  const { modal, settings } = instance;
+  const callback = settings[EVENT_CALLBACKS[type]];
+  const isAllowed = triggerEvent(modal, type, detail, cancelable);
+
+  if (typeof callback === 'function') {
+    callback.call(instance, detail, instance);
+  }
+
+  const globalDetail = Object.assign({
+    instance,
+    id: modal.getAttribute('data-remodal-id'),
+    reason: detail.reason
+  }, detail);
+
+  // A listener above may have detached the modal, e.g. destroy() on closed,
+  // the event still has to reach the document then
+  const target = modal.isConnected ? modal : document;
+
+  return triggerEvent(target, `${NAMESPACE}:${type}`, globalDetail, cancelable, true) && isAllowed;
+}
+
+/**
+ * Sets a state for an instance
+ * @private
+ * @param {Remodal} instance
+ * @param {STATES} state
+ * @param {Boolean} isSilent If true, Remodal does not trigger events
+ * @param {String} Reason of a state change.
+ * @param {Event} [event] Event which caused the state change
+ */
+function setState(instance, state, isSilent, reason, event) {
+  const newState = namespacify('is', state);
+
+  const allStates = Object.values(STATES)
+    .map((thisState) => namespacify('is', thisState))
+    .join(' ');
+
+  getStateElements(instance).forEach(element => {
+    removeClasses(element, allStates);
+    addClasses(element, newState);
+  });
+
+  // eslint-disable-next-line
+  instance.state = state;
+
+  if (!isSilent) {
+    emit(instance, state, { reason, data: instance.returnValue, event });
+  }
+
+  if (state === STATES.OPENED || state === STATES.CLOSED) {
+    settleTransition(instance);
+
+    // Let the current state change finish first
+    if (instance.queue) {
+      Promise.resolve().then(() => runQueue(instance));
+    }
+  }
+
+  if (state === STATES.CLOSED && instance.pendingResult) {
+    instance.pendingResult.resolve(reason);
+    // eslint-disable-next-line
+    instance.pendingResult = null;
+  }
+}
+
+/**
+ * Synchronizes with the animation.
+ * CSS animations and transitions are awaited along with the result of the hook,
+ * while the animationTimeout option makes sure the instance never gets stuck.
+ * @param {Function} doBeforeAnimation
+ * @param {Function} doAfterAnimation
+ * @param {Remodal} instance
+ * @param {Function} [hook] animateIn or animateOut, may return a Promise or an Animation
+ */
+function syncWithAnimation(doBeforeAnimation, doAfterAnimation, instance, hook) {
+  const elements = getStateElements(instance);
+  let isCanceled = false;
+  let timeout;
+
+  cancelAnimation(instance);
+
+  const stop = () => {
+    isCanceled = true;
+    clearTimeout(timeout);
+
+    // eslint-disable-next-line
+    instance.pendingAnimation = null;
+  };
+
+  const finish = () => {
+    if (!isCanceled) {
+      stop();
+      doAfterAnimation();
+    }
+  };
+
+  // eslint-disable-next-line
+  instance.pendingAnimation = stop;
+
+  doBeforeAnimation();
+
+  // A listener of the state event could have started another transition
+  if (isCanceled) {
+    return;
+  }
+
+  const motion = getMotion(instance);
+  const animations = motion === 'none' ? [] : getRunningAnimations(elements);
+  const interrupted = instance.hookAnimation;
+  let result = null;
+
+  // eslint-disable-next-line
+  instance.hookAnimation = null;
+
+  if (motion === 'full') {
+    if (interrupted && interrupted.playState === 'running') {
+      // An interrupted Web Animation plays back from where it is
+      interrupted.reverse();
+      result = interrupted;
+    } else if (typeof hook === 'function') {
+      result = hook.call(instance, instance.modal, instance);
+    }
+  }
+
+  if (result) {
+    animations.push(result.finished || result);
+
+    if (typeof result.reverse === 'function') {
+      // eslint-disable-next-line
+      instance.hookAnimation = result;
+    }
+  }
+
+  // If there is nothing to wait for
+  if (!animations.length) {
+    finish();
+    return;
+  }
+
+  // Canceled animations count as finished
+  Promise.all(animations.map(animation => Promise.resolve(animation).catch(() => {}))).then(finish);
+  timeout = setTimeout(finish, instance.settings.animationTimeout);
+}
+
+/**
+ * Closes the <dialog> of a native instance
+ * @private
+ * @param {Remodal} instance
+ */
+function closeDialog(instance) {
+  if (instance.isNative && instance.wrapper.open) {
+    instance.wrapper.close();
+  }
+}
+
+/**
+ * Checks whether a click landed outside of the modal
+ * @private
+ * @param {Remodal} instance
+ * @param {MouseEvent} e
+ * @returns {Boolean}
+ */
+function isOutsideClick(instance, { target, clientX, clientY }) {
+  if (instance.wrapper !== instance.modal) {
+    return hasClass(target, namespacify('wrapper'));
+  }
+
+  // Clicks on the ::backdrop of a <dialog> modal target the modal itself
+  if (target !== instance.modal) {
+    return false;
+  }
+
+  const rect = instance.modal.getBoundingClientRect();
+
+  return clientX < rect.left || clientX > rect.right || clientY < rect.top || clientY > rect.bottom;
+}
+
+/**
+ * Closes immediately, without the closing state
+ * @private
+ * @param {Remodal} instance
+ * @param {String} reason
+ * @param {Event} [event]
+ */
+function halt(instance, reason, event) {
+  if (instance.state === STATES.CLOSED) {
+    return;
+  }
+
+  cancelAnimation(instance);
+  removeFromStack(instance);
+  updateBackground(instance);
+  unlockScroll(instance);
+  hide(instance.wrapper);
+  closeDialog(instance);
+  resetDrag(instance);
+
+  if (!stack.length) {
+    if (instance.bg) {
+      removeClasses(instance.bg, instance.settings.modifier);
+    }
+
+    removeClasses(instance.overlay, getOverlayClasses(instance));
+    hide(instance.overlay);
+  }
+
+  setState(instance, STATES.CLOSED, false, reason, event);
+  restoreFocus(instance);
+}
+
+
+/**
+ * Opens an instance without checking its state
+ * @private
+ * @param {Remodal} instance
+ * @returns {Promise<Boolean>}
+ */
+function openModal(instance) {
+  // eslint-disable-next-line
+  instance.returnValue = undefined;
+
+  // A closing instance is still on the stack and turns around where it is
+  if (instance.state === STATES.CLOSING) {
+    trackOpen(instance);
+
+    return animateOpening(instance);
+  }
+
+  const id = instance.modal.getAttribute('data-remodal-id');
+
+  if (id && getTracking(instance) && !stack.length) {
+    const supportPageOffset = window.pageXOffset !== undefined;
+    const isCSS1Compat = ((document.compatMode || "") === "CSS1Compat");
+    const y = supportPageOffset ? window.pageYOffset : isCSS1Compat ? document.documentElement.scrollTop : document.body.scrollTop;
+
+    scrollTop = y;
+  }
+
+  trackOpen(instance);
+
+  // Modals which are still closing can't stay underneath
+  stack
+    .filter(other => other.state === STATES.CLOSING)
+    .forEach(other => halt(other, STATE_CHANGE_REASONS.REPLACED));
+
+  lockScroll(instance);
+
+  if (!stack.length && instance.bg) {
+    addClasses(instance.bg, instance.settings.modifier);
+  }
+
+  if (!instance.opener) {
+    // eslint-disable-next-line
+    instance.opener = document.activeElement;
+  }
+
+  pushToStack(instance);
+
+  addClasses(instance.overlay, getOverlayClasses(instance));
+
+  setStyle(instance.wrapper, { display: 'block' });
+
+  // The top layer makes the rest of the page inert and draws the ::backdrop
+  if (instance.isNative) {
+    if (!instance.wrapper.open) {
+      // eslint-disable-next-line
+      instance.wrapper.returnValue = '';
+      instance.wrapper.showModal();
+    }
+  } else {
+    setStyle(instance.overlay, { display: 'block' });
+  }
+
+  updateBackground();
+
+  instance.wrapper.scrollTo(0, 0);
+  instance.modal.focus();
+
+  const src = getContentSource(instance);
+
+  if (src && (!instance.isLoaded || !instance.settings.cacheContent)) {
+    // Failures are reported with the loaderror event
+    instance.load().catch(() => {});
+  }
+
+  return animateOpening(instance);
+}
+
+/**
+ * Runs the opening transition of an instance
+ * @private
+ * @param {Remodal} instance
+ * @returns {Promise<Boolean>}
+ */
+function animateOpening(instance) {
+  const promise = startTransition(instance, STATES.OPENED);
+
+  syncWithAnimation(
+    () => { setState(instance, STATES.OPENING); },
+    () => { setState(instance, STATES.OPENED); },
+    instance,
+    instance.settings.animateIn
+  );
+
+  return promise;
+}
+
+/**
+ * Closes an instance without checking its state
+ * @private
+ * @param {Remodal} instance
+ * @param {String} reason
+ * @param {*} data
+ * @param {Event} [event] Event which made the instance close
+ * @returns {Promise<Boolean>}
+ */
+function closeModal(instance, reason, data, event) {
+  // eslint-disable-next-line
+  instance.returnValue = data;
+
+  trackClose(instance);
+
+  const promise = startTransition(instance, STATES.CLOSED);
+
+  syncWithAnimation(
+    () => {
+      setState(instance, STATES.CLOSING, false, reason, event);
+    },
+    () => {
+      removeFromStack(instance);
+      updateBackground(instance);
+      unlockScroll(instance);
+      hide(instance.wrapper);
+      closeDialog(instance);
+      resetDrag(instance);
+
+      if (!stack.length) {
+        if (instance.bg) {
+          removeClasses(instance.bg, instance.settings.modifier);
+        }
+
+        removeClasses(instance.overlay, getOverlayClasses(instance));
+        hide(instance.overlay);
+      }
+
+      setState(instance, STATES.CLOSED, false, reason, event);
+      restoreFocus(instance);
+    },
+    instance,
+    instance.settings.animateOut
+  );
+
+  return promise;
+}
+
+/**
+ * Asks the beforeopen/beforeclose listeners and the onBeforeOpen/onBeforeClose
+ * callbacks whether a state change may happen
+ * @private
+ * @param {Remodal} instance
+ * @param {String} action open or close
+ * @param {String} reason
+ * @param {Event} [event]
+ * @returns {Boolean|Promise<Boolean>}
+ */
+function requestStateChange(instance, action, reason, event) {
+  const { onBeforeOpen, onBeforeClose } = instance.settings;
+  const callback = action === 'open' ? onBeforeOpen : onBeforeClose;
+
+  if (!emit(instance, `before${action}`, { reason, event }, true)) {
+    return false;
+  }
+
+  if (typeof callback !== 'function') {
+    return true;
+  }
+
+  const result = callback.call(instance, reason, instance);
+
+  if (result && typeof result.then === 'function') {
+    // A rejected promise vetoes the state change as well
+    return Promise.resolve(result).then(value => value !== false, () => false);
+  }
+
+  return result !== false;
+}
+
+/**
+ * Runs a state change once it is allowed by requestStateChange
+ * @private
+ * @param {Remodal} instance
+ * @param {String} action open or close
+ * @param {String} reason
+ * @param {Function} proceed Performs the state change and returns its promise
+ * @param {Event} [event]
+ * @returns {Promise<Boolean>}
+ */
+function guardStateChange(instance, action, reason, proceed, event) {
+  const { pendingRequest } = instance;
+
+  // An asynchronous guard is still deciding
+  if (pendingRequest) {
+    return pendingRequest.action === action ? pendingRequest.promise : Promise.resolve(false);
+  }
+
+  const isAllowed = requestStateChange(instance, action, reason, event);
+
+  if (isAllowed === true) {
+    return proceed();
+  }
+
+  if (isAllowed === false) {
+    return Promise.resolve(false);
+  }
+
+  const promise = isAllowed.then(value => {
+    // eslint-disable-next-line
+    instance.pendingRequest = null;
+
+    return value ? proceed() : false;
+  });
+
+  // eslint-disable-next-line
+  instance.pendingRequest = { action, promise };
+
+  return promise;
+}
+
+/**
+ * Returns how an instance keeps its id in the URL
+ * @private
+ * @param {Remodal} instance
+ * @returns {String|null} hash, history or null
+ */
+function getTracking({ settings }) {
+  if (settings.historyTracking) {
+    return 'history';
+  }
+
+  return settings.hashTracking ? 'hash' : null;
+}
+
+/**
+ * Is the id of an instance in the URL?
+ * @private
+ * @param {Remodal} instance
+ * @returns {Boolean}
+ */
+function isInUrl(instance) {
+  const id = instance.modal.getAttribute('data-remodal-id');
+  const { historyTracking, historyParam } = instance.settings;
+
+  if (!id) {
+    return false;
+  }
+
+  switch (getTracking(instance)) {
+    case 'hash':
+      return window.location.hash.substr(1) === id;
+    case 'history':
+      return historyTracking === 'path'
+        ? window.location.pathname.replace(/\/$/, '').endsWith(`/${id}`)
+        : new URLSearchParams(window.location.search).get(historyParam) === id;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Returns the current URL with or without the id of an instance.
+ * The historyTracking option decides whether the id is a query parameter
+ * (`?modal=signup`) or a path suffix (`/pricing/signup`).
+ * @private
+ * @param {Remodal} instance
+ * @param {Boolean} withId
+ * @returns {String}
+ */
+function getTrackedUrl(instance, withId) {
+  const id = instance.modal.getAttribute('data-remodal-id');
+  const { historyTracking, historyParam } = instance.settings;
+  const url = new URL(window.location.href);
+
+  if (historyTracking === 'path') {
+    const path = url.pathname.replace(/\/$/, '');
+    const suffix = `/${id}`;
+
+    if (withId) {
+      url.pathname = path + suffix;
+    } else if (path.endsWith(suffix)) {
+      url.pathname = path.slice(0, -suffix.length) || '/';
+    }
+  } else if (withId) {
+    url.searchParams.set(historyParam, id);
+  } else {
+    url.searchParams.delete(historyParam);
+  }
+
+  return url.toString();
+}
+
+/**
+ * Puts the id of an opened instance into the URL
+ * @private
+ * @param {Remodal} instance
+ */
+function trackOpen(instance) {
+  const id = instance.modal.getAttribute('data-remodal-id');
+  const tracking = getTracking(instance);
+
+  if (!id || !tracking || isInUrl(instance)) {
+    return;
+  }
+
+  if (tracking === 'hash') {
+    window.location.hash = id;
+  } else {
+    window.history.pushState({ [NAMESPACE]: id }, '', getTrackedUrl(instance, true));
+  }
+}
+
+/**
+ * Removes the id of a closing instance from the URL
+ * @private
+ * @param {Remodal} instance
+ */
+function trackClose(instance) {
+  const id = instance.modal.getAttribute('data-remodal-id');
+  const { state } = window.history;
+
+  if (!isInUrl(instance)) {
+    return;
+  }
+
+  if (getTracking(instance) === 'history') {
+    // Go back to the entry which was there before the modal opened
+    if (state && state[NAMESPACE] === id) {
+      window.history.back();
+    } else {
+      window.history.replaceState(state, '', getTrackedUrl(instance, false));
+    }
+
+    return;
+  }
+
+  const below = stack[stack.indexOf(instance) - 1];
+  const belowId = below && getTracking(below) === 'hash' && below.modal.getAttribute('data-remodal-id');
+
+  if (belowId) {
+    window.location.hash = belowId;
+  } else {
+    window.location.hash = '';
+    window.scrollTo(0, scrollTop || 0);
+  }
+}
+
+/**
+ * Closes the modals stacked above the instance after a navigation.
+ * The hash is put back when one of them refuses to close.
+ * @private
+ * @param {Remodal} [instance] If omitted, only the current modal is closed
+ * @param {Event} [event] The hashchange or popstate event
+ */
+function closeOnNavigation(instance, event) {
+  const top = current;
+
+  if (!top || top === instance) {
+    return;
+  }
+
+  top.close(STATE_CHANGE_REASONS.NAVIGATION, undefined, event).then(isClosed => {
+    if (!isClosed) {
+      if (top.state === STATES.OPENED) {
+        trackOpen(top);
+      }
+    } else if (instance) {
+      closeOnNavigation(instance, event);
+    }
+  });
+}
+
+/**
+ * Handles the hashchange event
+ * @private
+ * @listens hashchange
+ * @param {HashChangeEvent} e
+ */
+function handleHashChangeEvent(e) {
+  const id = window.location.hash.replace('#', '');
+  let instance;
+  let elem;
+
+  if (!id) {
+    // Check if we have currently opened modal and animation was completed
+    if (current && current.state === STATES.OPENED && getTracking(current) === 'hash') {
+      closeOnNavigation(undefined, e);
+    }
+  } else {
+    // Catch syntax error if your hash is bad
+    try {
+      elem = document.querySelector(`[data-remodal-id="${id}"]`);
+    } catch (err) {
+      throw new Error(err);
+    }
 
     if (elem) {
       instance = remodalInstances.lookup[elem.getAttribute('data-remodal')];
 
-      if (instance && instance.settings.hashTracking) {
-        instance.open();
+      if (instance && getTracking(instance) === 'hash') {
+        // Going back to a stacked modal closes the ones above it
+        if (stack.includes(instance)) {
+          closeOnNavigation(instance, e);
+        } else {
+          instance.open();
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Handles the popstate event
+ * @private
+ * @listens popstate
+ * @param {PopStateEvent} e
+ */
+function handlePopStateEvent(e) {
+  const instance = remodalInstances.lookup.find(inst => (
+    inst && getTracking(inst) === 'history' && isInUrl(inst)
+  ));
+
+  if (instance) {
+    // Going back to a stacked modal closes the ones above it
+    if (stack.includes(instance)) {
+      closeOnNavigation(instance, e);
+    } else {
+      instance.open();
+    }
+  } else if (current && current.state === STATES.OPENED && getTracking(current) === 'history') {
+    closeOnNavigation(undefined, e);
+  }
+}
+
+/**
+ * Parses the trigger option, e.g. "delay: 5000, scroll: 50, exit".
+ * A trigger without a value is enabled.
+ * @private
+ * @param {Remodal} instance
+ * @returns {Object|null} delay in ms, scroll depth in percent, exit and views
+ */
+function getTriggers({ settings }) {
+  const { trigger } = settings;
+
+  if (!trigger || typeof trigger === 'object') {
+    return trigger || null;
+  }
+
+  try {
+    return parseOptions(String(trigger).replace(/(^|,)\s*([\w-]+)\s*(?=,|$)/g, '$1$2: true'));
+  } catch (err) {
+    warn(`can't parse trigger "${trigger}": ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Returns the key of the frequency record of an instance
+ * @private
+ * @param {Remodal} instance
+ * @returns {String|null} Null for modals without an id
+ */
+function getRecordKey(instance) {
+  const id = instance.modal.getAttribute('data-remodal-id');
+
+  return id ? namespacify('trigger', id) : null;
+}
+
+/**
+ * Reads the frequency record of an instance from localStorage or a cookie
+ * @private
+ * @param {Remodal} instance
+ * @returns {Object} views, shown timestamp and suppressed
+ */
+function readRecord(instance) {
+  const key = getRecordKey(instance);
+  let value = null;
+
+  if (!key) {
+    return {};
+  }
+
+  try {
+    if (instance.settings.triggerStorage === 'cookie') {
+      const cookie = document.cookie.split('; ').find(item => item.indexOf(`${key}=`) === 0);
+
+      value = cookie && decodeURIComponent(cookie.slice(key.length + 1));
+    } else {
+      value = window.localStorage.getItem(key);
+    }
+
+    return JSON.parse(value) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Writes the frequency record of an instance, a year long for cookies
+ * @private
+ * @param {Remodal} instance
+ * @param {Object} changes
+ */
+function writeRecord(instance, changes) {
+  const key = getRecordKey(instance);
+
+  if (!key) {
+    return;
+  }
+
+  const value = JSON.stringify(Object.assign(readRecord(instance), changes));
+
+  try {
+    if (instance.settings.triggerStorage === 'cookie') {
+      document.cookie = `${key}=${encodeURIComponent(value)}; max-age=31536000; path=/; SameSite=Lax`;
+    } else {
+      window.localStorage.setItem(key, value);
+    }
+  } catch (err) {
+    warn(`can't store the trigger record of "${key}": ${err.message}`);
+  }
+}
+
+/**
+ * Checks the page views and the frequency capping of an instance
+ * @private
+ * @param {Remodal} instance
+ * @param {Object} triggers
+ * @returns {Boolean}
+ */
+function isTriggerAllowed(instance, triggers) {
+  const { frequency } = instance.settings;
+  const record = readRecord(instance);
+
+  if (record.suppressed || (triggers.views && (record.views || 0) < triggers.views)) {
+    return false;
+  }
+
+  return !(frequency && record.shown && Date.now() - record.shown < frequency * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Stops the triggers of an instance and the tracking of its closes
+ * @private
+ * @param {Remodal} instance
+ */
+function disarmTriggers(instance) {
+  if (instance.disarm) {
+    instance.disarm();
+  }
+
+  if (instance.stopCapping) {
+    instance.stopCapping();
+  }
+}
+
+/**
+ * Opens an instance on its own after a delay, a scroll depth, an exit intent
+ * or a number of page views, unless it was capped. If another modal is open,
+ * the instance waits for it to close.
+ * @private
+ * @param {Remodal} instance
+ */
+function armTriggers(instance) {
+  const triggers = getTriggers(instance);
+  const { suppressAfter } = instance.settings;
+
+  if (!triggers) {
+    return;
+  }
+
+  if (!getRecordKey(instance) && (triggers.views || instance.settings.frequency || suppressAfter)) {
+    warn('page views and frequency capping need a data-remodal-id');
+  }
+
+  // Each page load counts as a view, even if the modal is initialized again
+  if (triggers.views && getRecordKey(instance) && !countedViews.has(getRecordKey(instance))) {
+    countedViews.add(getRecordKey(instance));
+    writeRecord(instance, { views: (readRecord(instance).views || 0) + 1 });
+  }
+
+  if (suppressAfter) {
+    const reasons = Array.isArray(suppressAfter) ? suppressAfter : String(suppressAfter).split(/\s*,\s*/);
+
+    // eslint-disable-next-line
+    instance.stopCapping = instance.on(STATES.CLOSED, ({ detail }) => {
+      if (reasons.includes(detail.reason)) {
+        writeRecord(instance, { suppressed: true });
       }
+    });
+  }
+
+  let timeout;
+  let stopWaiting;
+
+  const fire = () => {
+    if (instance.state !== STATES.CLOSED || stopWaiting || !isTriggerAllowed(instance, triggers)) {
+      return;
+    }
+
+    // Another modal has the stage, try again once it's closed and has restored the focus
+    if (current) {
+      stopWaiting = current.once(STATES.CLOSED, () => {
+        const retry = setTimeout(() => {
+          stopWaiting = null;
+          fire();
+        });
+
+        stopWaiting = () => clearTimeout(retry);
+      });
+
+      return;
+    }
+
+    instance.disarm();
+
+    const stopRecording = instance.once(STATES.OPENING, () => {
+      writeRecord(instance, { shown: Date.now() });
+    });
+
+    instance.open().then(stopRecording);
+  };
+
+  const handleScroll = () => {
+    const { scrollHeight } = document.documentElement;
+    const depth = ((window.pageYOffset + window.innerHeight) / scrollHeight) * 100;
+
+    if (depth >= triggers.scroll) {
+      fire();
+    }
+  };
+
+  const handleMouseOut = (e) => {
+    // The pointer leaves through the top of the viewport
+    if (!e.relatedTarget && e.clientY <= 0) {
+      fire();
+    }
+  };
+
+  // eslint-disable-next-line
+  instance.disarm = () => {
+    clearTimeout(timeout);
+
+    if (stopWaiting) {
+      stopWaiting();
     }
+
+    off(window, 'scroll.remodal', handleScroll);
+    off(document, 'mouseout.remodal', handleMouseOut);
+
+    // eslint-disable-next-line
+    instance.disarm = null;
+  };
+
+  if (triggers.delay !== undefined) {
+    timeout = setTimeout(fire, triggers.delay);
+  }
+
+  if (triggers.scroll !== undefined) {
+    on(window, 'scroll.remodal', handleScroll, { passive: true });
+  }
+
+  if (triggers.exit) {
+    on(document, 'mouseout.remodal', handleMouseOut);
+  }
+
+  // Page views alone open right away
+  if (triggers.views && triggers.delay === undefined && triggers.scroll === undefined && !triggers.exit) {
+    fire();
   }
 }
 
@@ -458,13 +2303,20 @@ class Remodal {
     const { body } = document;
     let appendTo = body;
 
-    this.settings = Object.assign(DEFAULTS, options);
+    validateOptions(options);
+
+    this.settings = Object.assign({}, defaults, getElementOptions(modal), options);
+
+    // Custom actions of one modal must not leak into the defaults or other modals
+    this.settings.actions = Object.assign({}, this.settings.actions);
     this.index = remodalInstances.lookup.push(this) - 1;
     this.state = STATES.CLOSED;
 
     this.overlay = document.querySelector(`.${namespacify('overlay')}`);
 
-    if (this.settings.appendTo !== null && this.settings.appendTo.length) {
+    if (typeof this.settings.appendTo === 'string') {
+      appendTo = document.querySelector(this.settings.appendTo) || body;
+    } else if (this.settings.appendTo) {
       // eslint-disable-next-line
       appendTo = this.settings.appendTo;
     }
@@ -489,152 +2341,289 @@ class Remodal {
     this.modal = modal;
     addClasses(this.modal, `${NAMESPACE} ${namespacify('is-initialized')} ${this.settings.modifier} ${namespacify('is', STATES.CLOSED)}`);
     this.modal.setAttribute('tabindex', '-1');
+    setDialogAttributes(this);
+
+    // The native mode falls back to the wrapper where <dialog> isn't supported
+    this.isNative = !!this.settings.native && supportsDialog();
+
+    if (this.isNative && modal.tagName === 'DIALOG') {
+      this.wrapper = modal;
+    } else {
+      this.wrapper = document.createElement(this.isNative ? 'dialog' : 'div');
+      addClasses(this.wrapper, `${namespacify('wrapper')} ${this.settings.modifier} ${namespacify('is', STATES.CLOSED)}`);
+    }
+
+    if (this.isNative) {
+      addClasses(this.wrapper, namespacify('is-native'));
+    }
+
+    addClasses(this.wrapper, namespacify('position', getPosition(this)));
+    updateTouchAction(this);
 
-    this.wrapper = document.createElement('div');
-    addClasses(this.wrapper, `${namespacify('wrapper')} ${this.settings.modifier} ${namespacify('is', STATES.CLOSED)}`);
     hide(this.wrapper);
-    this.wrapper.appendChild(this.modal);
+    updateMotionClass(this);
+
+    // Mark the original position, so that the observer notices its removal
+    if (observer && this.modal.parentNode) {
+      this.placeholder = document.createComment(` ${NAMESPACE} `);
+      this.modal.parentNode.insertBefore(this.placeholder, this.modal);
+    }
+
+    if (this.wrapper !== this.modal) {
+      this.wrapper.appendChild(this.modal);
+    }
 
     appendTo.appendChild(this.wrapper);
 
-    // Add the event listener for the close button
-    const closeButtons = this.wrapper.querySelectorAll('[data-remodal-action="close"]');
+    bindActions(this);
 
+    // Add the event listener for the overlay
+    on(this.wrapper, 'click.remodal', (e) => {
+      if (!isOutsideClick(this, e)) {
+        return;
+      }
 
-    if (closeButtons.length) {
-      [...closeButtons].forEach(closeButton => {
-        closeButton.addNSEventListener('click.remodal', e => {
-          e.preventDefault();
-          this.close();
-        });
-      })
-    }
+      if (this.settings.closeOnOutsideClick) {
+        this.close(STATE_CHANGE_REASONS.OVERLAY, undefined, e);
+      }
+    });
 
-    // Add the event listener for the cancel button
-    const cancelButton = this.wrapper.querySelector('[data-remodal-action="cancel"]');
-    if (cancelButton) {
-      cancelButton.addNSEventListener('click.remodal', e => {
+    bindSwipe(this);
+
+    // Escape cancels a <dialog>, which would close it behind the back of the instance
+    if (this.isNative) {
+      on(this.wrapper, 'cancel.remodal', (e) => {
         e.preventDefault();
 
-        triggerEvent(this.modal, STATE_CHANGE_REASONS.CANCELLATION);
+        if (this.settings.closeOnEscape && this.state !== STATES.CLOSED) {
+          this.close(STATE_CHANGE_REASONS.ESCAPE, undefined, e);
+        }
+      });
 
-        if (this.settings.closeOnCancel) {
-          this.close(STATE_CHANGE_REASONS.CANCELLATION);
+      // The browser can still close the dialog on its own, e.g. with a form[method="dialog"]
+      // or an Escape whose cancel event can't be prevented
+      on(this.wrapper, 'close.remodal', (e) => {
+        if (!this.wrapper.open && this.state !== STATES.CLOSED) {
+          halt(this, this.wrapper.returnValue || STATE_CHANGE_REASONS.ESCAPE, e);
         }
       });
     }
+  }
 
-    // Add the event listener for the confirm button
-    const confirmButton = this.wrapper.querySelector('[data-remodal-action="confirm"]');
-    if (confirmButton) {
-      confirmButton.addNSEventListener('click.remodal', e => {
-        e.preventDefault();
 
-        triggerEvent(this.modal, STATE_CHANGE_REASONS.CONFIRMATION);
+  /**
+   * Opens a modal window.
+   * A closing modal turns around, or opens after closing
+   * with the interruption option set to queue.
+   * @public
+   * @returns {Promise<Boolean>} Resolves with true once the modal is opened,
+   * or with false if the call was ignored or the opening was interrupted
+   */
+  open() {
+    // Check if the animation was completed
+    if (this.state === STATES.OPENING) {
+      dropQueue(this);
+      return this.transition.promise;
+    }
+
+    if (this.state === STATES.CLOSING && isQueued(this)) {
+      return enqueue(this, 'open', []);
+    }
+
+    // Check if the modal is already in the stack
+    if (this.state !== STATES.CLOSING && stack.includes(this)) {
+      return Promise.resolve(true);
+    }
+
+    return guardStateChange(this, 'open', undefined, () => (
+      this.state === STATES.CLOSED || this.state === STATES.CLOSING ? openModal(this) : Promise.resolve(false)
+    ));
+  }
+
+
+  /**
+   * Closes a modal window.
+   * An opening modal turns around, or closes after opening
+   * with the interruption option set to queue.
+   * @public
+   * @param {String} [reason=api] One of STATE_CHANGE_REASONS or a reason of your own
+   * @param {*} data Kept as returnValue and passed with the closing/closed events
+   * @param {Event} [event] Event which made the modal close, passed with the events
+   * @returns {Promise<Boolean>} Resolves with true once the modal is closed,
+   * or with false if the call was ignored or the closing was interrupted
+   */
+  close(reason = STATE_CHANGE_REASONS.API, data, event) {
+    // Check if the animation was completed
+    if (this.state === STATES.CLOSING) {
+      dropQueue(this);
+      return this.transition.promise;
+    }
+
+    if (this.state === STATES.CLOSED) {
+      return Promise.resolve(true);
+    }
+
+    if (this.state === STATES.OPENING && isQueued(this)) {
+      return enqueue(this, 'close', [reason, data, event]);
+    }
+
+    return guardStateChange(this, 'close', reason, () => (
+      this.state === STATES.OPENED || this.state === STATES.OPENING
+        ? closeModal(this, reason, data, event)
+        : Promise.resolve(false)
+    ), event);
+  }
+
+
+  /**
+   * Loads the content of a modal from the `src` option
+   * or the data-remodal-src attribute
+   * @public
+   * @returns {Promise} Rejects if the content can't be loaded
+   */
+  load() {
+    const src = getContentSource(this);
+    const loadingClass = namespacify('is-loading');
+
+    if (!src) {
+      return Promise.resolve();
+    }
+
+    if (this.loading) {
+      return this.loading;
+    }
+
+    addClasses(this.modal, loadingClass);
+    this.modal.setAttribute('aria-busy', 'true');
+
+    const done = () => {
+      this.loading = null;
+      removeClasses(this.modal, loadingClass);
+      this.modal.removeAttribute('aria-busy');
+    };
+
+    this.loading = Promise.resolve()
+      .then(() => (typeof src === 'function' ? src(this) : fetchContent(src)))
+      .then(content => {
+        const container = this.modal.querySelector('[data-remodal-content]') || this.modal;
+
+        if (content instanceof Node) {
+          container.innerHTML = '';
+          container.appendChild(content);
+        } else {
+          container.innerHTML = content;
+        }
+
+        this.isLoaded = true;
+        done();
+
+        setDialogAttributes(this);
+
+        emit(this, 'loaded');
+      }, error => {
+        done();
+
+        emit(this, 'loaderror', {
+          error,
+          retry: () => this.load()
+        });
 
-        if (this.settings.closeOnConfirm) {
-          this.close(STATE_CHANGE_REASONS.CONFIRMATION);
-        }
+        throw error;
       });
-    }
 
-    // Add the event listener for the overlay
-    this.wrapper.addNSEventListener('click.remodal', ({ target }) => {
-      if (!hasClass(target, namespacify('wrapper'))) {
-        return;
-      }
+    return this.loading;
+  }
 
-      if (this.settings.closeOnOutsideClick) {
-        this.close();
-      }
-    });
+  /**
+   * Listens to an event of the modal, e.g. opened or closed
+   * @public
+   * @param {String} type
+   * @param {Function} handler Gets the CustomEvent, its detail holds the reason and the data
+   * @returns {Function} Removes the listener
+   */
+  on(type, handler) {
+    this.modal.addEventListener(type, handler);
+
+    return () => this.off(type, handler);
   }
 
+  /**
+   * Stops listening to an event of the modal
+   * @public
+   * @param {String} type
+   * @param {Function} handler
+   */
+  off(type, handler) {
+    this.modal.removeEventListener(type, handler);
+  }
 
   /**
-   * Opens a modal window
+   * Listens to the next event of the modal only
    * @public
+   * @param {String} type
+   * @param {Function} handler
+   * @returns {Function} Removes the listener
    */
-  open() {
-    // Check if the animation was completed
-    if (this.state === STATES.OPENING || this.state === STATES.CLOSING) {
-      return;
-    }
+  once(type, handler) {
+    this.modal.addEventListener(type, handler, { once: true });
 
-    const id = this.modal.getAttribute('data-remodal-id');
+    return () => this.off(type, handler);
+  }
 
-    if (id && this.settings.hashTracking) {
-      const supportPageOffset = window.pageXOffset !== undefined;
-      const isCSS1Compat = ((document.compatMode || "") === "CSS1Compat");
-      const y = supportPageOffset ? window.pageYOffset : isCSS1Compat ? document.documentElement.scrollTop : document.body.scrollTop;
+  /**
+   * Changes options of a modal
+   * @public
+   * @param {Object} options
+   */
+  setOptions(options) {
+    const { modifier } = this.settings;
+    const position = getPosition(this);
+    const overlayClasses = getOverlayClasses(this);
 
-      scrollTop = y;
-      window.location.hash = id;
-    }
+    validateOptions(options);
+    Object.assign(this.settings, options);
+    this.settings.actions = Object.assign({}, this.settings.actions);
 
-    if (current && current !== this) {
-      halt(current);
-    }
+    if (this.settings.modifier !== modifier) {
+      const elements = [this.modal, this.wrapper];
 
-    current = this;
-    screenLockToggle('lock');
+      if (stack[0] === this && this.bg) {
+        elements.push(this.bg);
+      }
 
-    addClasses(this.bg, this.settings.modifier);
-    addClasses(this.overlay, this.settings.modifier);
+      elements.forEach(element => {
+        removeClasses(element, modifier);
+        addClasses(element, this.settings.modifier);
+      });
+    }
 
-    setStyle(this.overlay, { display: 'block' });
-    setStyle(this.wrapper, { display: 'block' });
+    if (getPosition(this) !== position) {
+      removeClasses(this.wrapper, namespacify('position', position));
+      addClasses(this.wrapper, namespacify('position', getPosition(this)));
+    }
 
-    this.wrapper.scrollTo(0, 0);
-    this.modal.focus();
+    if (current === this) {
+      removeClasses(this.overlay, overlayClasses);
+      addClasses(this.overlay, getOverlayClasses(this));
+    }
 
-    syncWithAnimation(
-      () => { setState(this, STATES.OPENING); },
-      () => { setState(this, STATES.OPENED); },
-      this
-    );
+    updateTouchAction(this);
+    updateMotionClass(this);
   }
 
-
   /**
-   * Closes a modal window
+   * Returns a promise of the next close of a modal
    * @public
-   * @param {String} reason
+   * @returns {Promise<String>} Resolves with the reason of the close
    */
-  close(reason) {
-    // Check if the animation was completed
-    if (
-      this.state === STATES.OPENING
-        || this.state === STATES.CLOSING
-        || this.state === STATES.CLOSED
-    ) {
-      return;
-    }
-
-    if (this.settings.hashTracking && this.modal.getAttribute('data-remodal-id') === window.location.hash.substr(1)) {
-      window.location.hash = '';
-      window.scrollTo(0, 0);
+  result() {
+    if (!this.pendingResult) {
+      this.pendingResult = createDeferred();
     }
 
-    syncWithAnimation(
-      () => {
-        setState(this, STATES.CLOSING, false, reason);
-      },
-      () => {
-        removeClasses(this.bg, this.settings.modifier);
-        removeClasses(this.overlay, this.settings.modifier);
-        hide(this.overlay);
-        hide(this.wrapper);
-
-        screenLockToggle('unlock');
-
-        setState(this, STATES.CLOSED, false, reason);
-      },
-      this
-    );
+    return this.pendingResult.promise;
   }
 
-
   /**
    * Returns a current state of a modal
    * @public
@@ -651,9 +2640,17 @@ class Remodal {
   destroy() {
     const { lookup } = remodalInstances;
 
-    halt(this);
+    dropQueue(this);
+    disarmTriggers(this);
+    halt(this, STATE_CHANGE_REASONS.API);
+    off(this.modal, '.remodal');
     remove(this.wrapper);
 
+    if (this.placeholder) {
+      remove(this.placeholder);
+    }
+
+    this.modal.removeAttribute('data-remodal');
     delete lookup[this.index];
 
     // TODO, make sure this is working as expected.
@@ -661,7 +2658,10 @@ class Remodal {
 
     if (instanceCount === 0) {
       remove(this.overlay);
-      removeClasses(this.bg, `${namespacify('is', STATES.CLOSING)} ${namespacify('is', STATES.OPENING)} ${namespacify('is', STATES.CLOSED)} ${namespacify('is', STATES.OPENED)}`);
+
+      if (this.bg) {
+        removeClasses(this.bg, `${namespacify('is', STATES.CLOSING)} ${namespacify('is', STATES.OPENING)} ${namespacify('is', STATES.CLOSED)} ${namespacify('is', STATES.OPENED)}`);
+      }
     }
   }
 }
@@ -674,9 +2674,11 @@ function remodal(element, opts) {
     instance = new Remodal(element, opts);
     element.setAttribute('data-remodal', instance.index);
 
-    if (instance.settings.hashTracking && element.getAttribute('data-remodal-id') === window.location.hash.substr(1)) {
+    if (isInUrl(instance)) {
       instance.open();
     }
+
+    armTriggers(instance);
   } else {
     instance = remodalInstances.lookup[element.getAttribute('data-remodal')];
   }
@@ -684,58 +2686,528 @@ function remodal(element, opts) {
   return instance;
 }
 
-function init() {
-  // data-remodal-target opens a modal window with the special Id
-  [...document.querySelectorAll('[data-remodal-target]')].forEach(modalTarget => {
-    modalTarget.addNSEventListener('click', (e) => {
-      e.preventDefault();
+/**
+ * Creates a standard action button
+ * @private
+ * @param {String} action
+ * @param {String} label
+ * @returns {Element}
+ */
+function createButton(action, label) {
+  const button = document.createElement('button');
+
+  button.setAttribute('type', 'button');
+  button.setAttribute('data-remodal-action', action);
+  addClasses(button, namespacify(action));
+
+  // The close button is drawn with CSS
+  if (action === 'close') {
+    button.setAttribute('aria-label', label);
+  } else {
+    button.textContent = label;
+  }
+
+  return button;
+}
+
+/**
+ * Creates a modal from an HTML string, a template or an element
+ * @public
+ * @param {Object} config
+ * @param {String|HTMLTemplateElement|Node} config.content
+ * @param {String} [config.id] Value of the data-remodal-id attribute
+ * @param {Object} [config.options] Options of the instance
+ * @param {Object} [config.buttons] Standard buttons to add, e.g. { close: true, confirm: 'Save' }
+ * @param {Boolean} [config.destroyOnClose] Destroys the instance after closing
+ * @returns {Remodal}
+ */
+function create({
+  content,
+  id,
+  options,
+  buttons = {},
+  destroyOnClose = false
+}) {
+  const modal = document.createElement('div');
+
+  addClasses(modal, NAMESPACE);
+
+  if (id) {
+    modal.setAttribute('data-remodal-id', id);
+  }
+
+  if (typeof content === 'string' || content instanceof String) {
+    modal.innerHTML = content;
+  } else if (content instanceof HTMLTemplateElement) {
+    modal.appendChild(document.importNode(content.content, true));
+  } else if (content instanceof Node) {
+    modal.appendChild(content);
+  } else {
+    throw new TypeError('Remodal content must be an HTML string, a template or a DOM node');
+  }
+
+  Object.keys(BUTTON_LABELS).forEach(action => {
+    if (!buttons[action]) {
+      return;
+    }
+
+    const label = typeof buttons[action] === 'string' ? buttons[action] : BUTTON_LABELS[action];
+    const button = createButton(action, label);
+
+    if (action === 'close') {
+      modal.insertBefore(button, modal.firstChild);
+    } else {
+      modal.appendChild(button);
+    }
+  });
+
+  const instance = remodal(modal, options);
+
+  if (destroyOnClose) {
+    const handleClosed = () => {
+      modal.removeEventListener(STATES.CLOSED, handleClosed);
+      instance.destroy();
+    };
+
+    modal.addEventListener(STATES.CLOSED, handleClosed);
+  }
+
+  return instance;
+}
+
+remodal.create = create;
+
+/**
+ * Opens a generated alert, confirm or prompt dialog, destroyed after closing
+ * @private
+ * @param {String} type alert, confirm or prompt
+ * @param {String|Node} message
+ * @param {Object} [opts]
+ * @param {String} [opts.title]
+ * @param {Object} [opts.labels] Labels of the buttons, e.g. { confirm: 'Delete', cancel: 'Keep' }
+ * @param {String} [opts.modifier]
+ * @param {String} [opts.focus] Button focused on opening, confirm or cancel.
+ * The prompt focuses its input and the others the confirm button by default.
+ * @param {String} [opts.value] Initial value of the prompt
+ * @param {String} [opts.placeholder] Placeholder of the prompt
+ * @param {Object} [opts.options] Other options of the instance
+ * @returns {Promise}
+ */
+function openDialog(type, message, {
+  title,
+  labels = {},
+  modifier = '',
+  focus,
+  value = '',
+  placeholder = '',
+  options
+} = {}) {
+  const content = document.createDocumentFragment();
+  const text = document.createElement('p');
+  let input;
+
+  if (title) {
+    const heading = document.createElement('h2');
+
+    heading.textContent = title;
+    content.appendChild(heading);
+  }
+
+  addClasses(text, namespacify('message'));
+
+  if (message instanceof Node) {
+    text.appendChild(message);
+  } else {
+    text.textContent = message;
+  }
+
+  content.appendChild(text);
+
+  // The form lets Enter confirm and passes the value with the confirmation
+  if (type === 'prompt') {
+    const form = document.createElement('form');
+
+    input = document.createElement('input');
+    input.type = 'text';
+    input.name = 'value';
+    input.value = value;
+    input.placeholder = placeholder;
+
+    if (typeof message === 'string') {
+      input.setAttribute('aria-label', message);
+    }
+
+    form.appendChild(input);
+    content.appendChild(form);
+  }
+
+  const instance = create({
+    content,
+    options: Object.assign({ describedBy: `.${namespacify('message')}` }, options, {
+      modifier: `${namespacify(type, 'dialog')} ${modifier}`.trim()
+    }),
+    buttons: {
+      cancel: type !== 'alert' && (labels.cancel || true),
+      confirm: labels.confirm || true
+    },
+    destroyOnClose: true
+  });
+
+  if (type !== 'prompt') {
+    instance.modal.setAttribute('role', 'alertdialog');
+  }
+
+  const focusTarget = focus
+    ? instance.modal.querySelector(`[data-remodal-action="${focus}"]`)
+    : input || instance.modal.querySelector('[data-remodal-action="confirm"]');
+
+  const handleOpening = () => {
+    instance.modal.removeEventListener(STATES.OPENING, handleOpening);
+
+    if (focusTarget) {
+      focusTarget.focus();
+    }
+  };
+
+  instance.modal.addEventListener(STATES.OPENING, handleOpening);
+
+  const getAnswer = reason => {
+    const isConfirmed = reason === STATE_CHANGE_REASONS.CONFIRMATION;
+
+    if (type === 'confirm') {
+      return isConfirmed;
+    }
+
+    if (type === 'prompt') {
+      return isConfirmed && instance.returnValue ? instance.returnValue.value : null;
+    }
+
+    return undefined;
+  };
+
+  return new Promise(resolve => {
+    instance.result().then(reason => resolve(getAnswer(reason)));
+
+    instance.open().then(isOpened => {
+      // A vetoed opening never gets to the closed event
+      if (!isOpened && instance.getState() === STATES.CLOSED) {
+        instance.destroy();
+        resolve(getAnswer());
+      }
+    });
+  });
+}
+
+/**
+ * Shows a message with an OK button
+ * @public
+ * @param {String|Node} message
+ * @param {Object} [opts] See openDialog()
+ * @returns {Promise} Resolves once the dialog is closed
+ */
+function showAlert(message, opts) {
+  return openDialog('alert', message, opts);
+}
+
+remodal.alert = showAlert;
 
-      const elem = e.currentTarget;
-      const id = elem.getAttribute('data-remodal-target');
-      const target = document.querySelector(`[data-remodal-id="${id}"]`);
+/**
+ * Asks to confirm or cancel
+ * @public
+ * @param {String|Node} message
+ * @param {Object} [opts] See openDialog()
+ * @returns {Promise<Boolean>} Resolves with true if confirmed
+ */
+function showConfirm(message, opts) {
+  return openDialog('confirm', message, opts);
+}
+
+remodal.confirm = showConfirm;
+
+/**
+ * Asks for a line of text
+ * @public
+ * @param {String|Node} message
+ * @param {Object} [opts] See openDialog()
+ * @returns {Promise<String|null>} Resolves with the entered text, or with null if canceled
+ */
+function showPrompt(message, opts) {
+  return openDialog('prompt', message, opts);
+}
+
+remodal.prompt = showPrompt;
+
+/**
+ * Initializes the modals within the root, including the root itself
+ * @private
+ * @param {Element} root
+ */
+function initModals(root) {
+  const containers = [...root.querySelectorAll(`.${NAMESPACE}`)];
+
+  if (hasClass(root, NAMESPACE)) {
+    containers.unshift(root);
+  }
+
+  // Options are read from the data-remodal-options attribute
+  // and the data-remodal-* attributes of the container
+  containers.forEach(container => remodal(container));
+}
+
+/**
+ * Handles the click on a data-remodal-target element
+ * @private
+ * @param {Event} e
+ */
+function handleTargetClick(e) {
+  const elem = e.target.closest && e.target.closest('[data-remodal-target]');
+
+  if (!elem) {
+    return;
+  }
+
+  const id = elem.getAttribute('data-remodal-target');
+  const target = document.querySelector(`[data-remodal-id="${id}"]`);
+  const instance = target && remodalInstances.lookup[target.getAttribute('data-remodal')];
+
+  if (!instance) {
+    return;
+  }
+
+  e.preventDefault();
+
+  // Remember the trigger, some browsers don't focus buttons on click
+  if (instance.state === STATES.CLOSED) {
+    instance.opener = elem;
+  }
+
+  instance.open();
+}
+
+/**
+ * Initializes added modals and destroys the removed ones
+ * @private
+ * @param {MutationRecord[]} mutations
+ */
+function handleMutations(mutations) {
+  let hasRemovedNodes = false;
 
-      remodalInstances.lookup[target.getAttribute('data-remodal')].open();
+  mutations.forEach(({ addedNodes, removedNodes }) => {
+    [...addedNodes].forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+        initModals(node);
+      }
     });
+
+    hasRemovedNodes = hasRemovedNodes || removedNodes.length > 0;
+  });
+
+  if (!hasRemovedNodes) {
+    return;
+  }
+
+  remodalInstances.lookup.forEach(instance => {
+    if (
+      instance
+      && (!instance.modal.isConnected || (instance.placeholder && !instance.placeholder.isConnected))
+    ) {
+      instance.destroy();
+    }
   });
+}
+
+/**
+ * Initializes the modals and the global listeners
+ * @private
+ * @param {Object} config
+ * @param {Boolean} config.observe Watches the root for added and removed modals
+ * @param {Element|null} config.root Null leaves the markup alone until hydrate()
+ */
+function init({ observe = false, root = document.body } = {}) {
+  pendingInit = null;
+
+  if (root && observe) {
+    observer = observer || new MutationObserver(handleMutations);
+    observer.observe(root, { childList: true, subtree: true });
+  }
 
   // Auto initialization of modal windows
   // They should have the 'remodal' class attribute
-  // Also you can write the `data-remodal-options` attribute to pass params into the modal
-  [...document.querySelectorAll('.remodal')].forEach(container => {
-    let options = container.getAttribute('data-remodal-options');
+  if (root) {
+    initModals(root);
+  }
 
-    if (!options) {
-      options = {};
-    } else if (typeof options === 'string' || options instanceof String) {
-      options = parseOptions(options);
-    }
+  // The global listeners are added once
+  if (isInitialized) {
+    return;
+  }
 
-    // Create an instance of the Remodal class
-    remodal(container, options);
-  });
+  isInitialized = true;
+
+  // data-remodal-target opens a modal window with the special Id
+  on(document, 'click.remodal', handleTargetClick);
+
+  // Follows changes of the prefers-reduced-motion setting while the page is open
+  const query = getReducedMotionQuery();
+
+  if (query && query.addEventListener) {
+    on(query, 'change.remodal', () => {
+      remodalInstances.lookup.forEach(instance => {
+        if (instance) {
+          updateMotionClass(instance);
+        }
+      });
+    });
+  }
 
   // Handles the keydown event
-  document.addNSEventListener('keydown.remodal', ({ keyCode }) => {
+  on(document, 'keydown.remodal', (e) => {
     if (
       current
+      && !current.isNative
       && current.settings.closeOnEscape
+      && (current.state === STATES.OPENED || current.state === STATES.OPENING)
+      && e.keyCode === 27
+    ) {
+      current.close(STATE_CHANGE_REASONS.ESCAPE, undefined, e);
+    }
+
+    if (
+      current
+      && current.settings.focusTrap
+      && current.state === STATES.OPENED
+      && e.keyCode === 9
+    ) {
+      trapFocus(e);
+    }
+  });
+
+  // Brings the focus back when it leaves the current modal
+  on(document, 'focusin.remodal', ({ target }) => {
+    if (
+      current
+      && current.settings.focusTrap
       && current.state === STATES.OPENED
-      && keyCode === 27
+      && !current.wrapper.contains(target)
     ) {
-      current.close();
+      current.modal.focus();
     }
   });
 
   // Handles the hashchange event
-  window.addNSEventListener('hashchange.remodal', handleHashChangeEvent);
+  on(window, 'hashchange.remodal', handleHashChangeEvent);
+
+  // Handles the popstate event
+  on(window, 'popstate.remodal', handlePopStateEvent);
+}
+
+/**
+ * Changes the default options of instances created afterwards
+ * @public
+ * @param {Object} options
+ */
+function setDefaults(options) {
+  validateOptions(options);
+  Object.assign(defaults, options);
+}
+
+/**
+ * Returns a copy of the default options
+ * @public
+ * @returns {Object}
+ */
+function getDefaults() {
+  return Object.assign({}, defaults);
+}
+
+remodal.setDefaults = setDefaults;
+remodal.getDefaults = getDefaults;
+
+/**
+ * Initializes server-rendered modals within the root.
+ * The default export scans the document once it is ready, which moves the modals
+ * into their wrappers. For markup a framework hydrates later, skip the scan
+ * and call this on the client once the framework is done:
+ *
+ *   const remodal = initRemodal({ root: null });
+ *   // after the framework has hydrated the page
+ *   remodal.hydrate(document.getElementById('app'));
+ *
+ * @public
+ * @param {Element} [root=document.body]
+ */
+function hydrate(root) {
+  if (IS_BROWSER) {
+    initModals(root || document.body);
+  }
+}
+
+remodal.hydrate = hydrate;
+
+/**
+ * Destroys all instances and removes every global listener
+ * @public
+ */
+function teardown() {
+  const { lookup } = remodalInstances;
+
+  if (!IS_BROWSER) {
+    return;
+  }
+
+  if (pendingInit) {
+    document.removeEventListener('DOMContentLoaded', pendingInit);
+    pendingInit = null;
+  }
+
+  if (observer) {
+    observer.disconnect();
+    observer = null;
+  }
+
+  lookup.forEach(instance => {
+    if (instance) {
+      instance.destroy();
+    }
+  });
+
+  lookup.length = 0;
+
+  off(document, `.${NAMESPACE}`);
+  off(window, `.${NAMESPACE}`);
+
+  if (reducedMotionQuery) {
+    off(reducedMotionQuery, `.${NAMESPACE}`);
+  }
+
+  isInitialized = false;
 }
 
-export default function() {
+remodal.teardown = teardown;
+
+/**
+ * Initializes Remodal once the document is ready.
+ * Safe to import on the server, where it does nothing but return the factory.
+ * @public
+ * @param {Object} [config]
+ * @param {Boolean} [config.observe=false] Initializes modals added to the root later on
+ * and destroys the ones removed from it
+ * @param {Element|null} [config.root=document.body] Element to scan and observe,
+ * null only adds the global listeners and leaves the modals to hydrate()
+ * @returns {Function} The remodal factory
+ */
+export default function(config) {
+  // Server-side rendering
+  if (!IS_BROWSER) {
+    return remodal;
+  }
+
   // If document is already loaded
   if (document.readyState === 'complete' || document.readyState === 'loaded') {
-    init();
+    init(config);
   } else {
-    document.addEventListener('DOMContentLoaded', init);
+    pendingInit = () => init(config);
+    document.addEventListener('DOMContentLoaded', pendingInit);
   }
 
   return remodal;
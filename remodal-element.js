@@ -0,0 +1,210 @@
+import initRemodal from './index';
+import { parseValue } from './remodal-helpers';
+
+/**
+ * Name of the custom element
+ * @private
+ * @const
+ * @type {String}
+ */
+const TAG_NAME = 'remodal-dialog';
+
+/**
+ * Events re-dispatched from the element
+ * @private
+ * @const
+ * @type {String[]}
+ */
+const EVENTS = ['opening', 'opened', 'closing', 'closed', 'confirmation', 'cancellation'];
+
+/**
+ * The remodal factory
+ * @private
+ * @const
+ * @type {Function}
+ */
+const remodal = initRemodal();
+
+/**
+ * Options by attribute name, e.g. close-on-escape: closeOnEscape.
+ * Callbacks can't be set from attributes.
+ * @private
+ * @const
+ * @type {Object}
+ */
+const OPTION_ATTRIBUTES = Object.keys(remodal.getDefaults())
+  .filter(key => !/^on[A-Z]/.test(key))
+  .reduce((attributes, key) => {
+    // eslint-disable-next-line
+    attributes[key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)] = key;
+    return attributes;
+  }, {});
+
+/**
+ * Defaults which differ from the ones of Remodal.
+ * The id of an element is a plain anchor, so the hash only opens the modal with hash-tracking.
+ * @private
+ * @const
+ * @type {Object}
+ */
+const ELEMENT_DEFAULTS = {
+  hashTracking: false
+};
+
+/**
+ * Custom elements can't be defined on the server
+ * @private
+ * @const
+ * @type {Function}
+ */
+const BaseElement = typeof HTMLElement === 'undefined' ? class {} : HTMLElement;
+
+/**
+ * Parses the value of an option attribute, a present but empty attribute enables a boolean option
+ * @private
+ * @param {String} key
+ * @param {String|null} value
+ * @returns {*}
+ */
+function parseAttribute(key, value) {
+  const defaultValue = remodal.getDefaults()[key];
+
+  if (value === null) {
+    return key in ELEMENT_DEFAULTS ? ELEMENT_DEFAULTS[key] : defaultValue;
+  }
+
+  return value === '' && typeof defaultValue === 'boolean' ? true : parseValue(value);
+}
+
+/**
+ * <remodal-dialog id="signup" close-on-escape="false">
+ *
+ * The element stays where it's declared, its content is moved into a Remodal modal
+ * while it's connected and the events of the modal bubble from the element.
+ * Unlike data-remodal-id modals, #signup only opens the element with the hash-tracking attribute.
+ * @public
+ */
+export class RemodalDialog extends BaseElement {
+  static get observedAttributes() {
+    return ['open', ...Object.keys(OPTION_ATTRIBUTES)];
+  }
+
+  /**
+   * @public
+   * @returns {Boolean}
+   */
+  get open() {
+    return this.hasAttribute('open');
+  }
+
+  /**
+   * @public
+   * @param {Boolean} value
+   */
+  set open(value) {
+    this.toggleAttribute('open', !!value);
+  }
+
+  connectedCallback() {
+    const modal = document.createElement('div');
+    const options = Object.assign({}, ELEMENT_DEFAULTS);
+
+    Object.keys(OPTION_ATTRIBUTES).forEach(attribute => {
+      if (this.hasAttribute(attribute)) {
+        const key = OPTION_ATTRIBUTES[attribute];
+
+        options[key] = parseAttribute(key, this.getAttribute(attribute));
+      }
+    });
+
+    if (this.id) {
+      modal.setAttribute('data-remodal-id', this.id);
+    }
+
+    while (this.firstChild) {
+      modal.appendChild(this.firstChild);
+    }
+
+    this.redispatch = ({ type, detail }) => {
+      if (type !== 'confirmation' && type !== 'cancellation') {
+        this.reflectState(type);
+      }
+
+      this.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+    };
+
+    // Listen before creating the instance, it opens right away if its id is in the URL
+    EVENTS.forEach(type => modal.addEventListener(type, this.redispatch));
+
+    this.instance = remodal(modal, options);
+
+    if (this.open) {
+      this.instance.open();
+    }
+  }
+
+  disconnectedCallback() {
+    if (!this.instance) {
+      return;
+    }
+
+    const { modal } = this.instance;
+
+    EVENTS.forEach(type => modal.removeEventListener(type, this.redispatch));
+
+    this.instance.destroy();
+    this.instance = null;
+
+    // Put the content back, in case the element is connected again
+    while (modal.firstChild) {
+      this.appendChild(modal.firstChild);
+    }
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    if (!this.instance || this.isReflecting) {
+      return;
+    }
+
+    if (name !== 'open') {
+      const key = OPTION_ATTRIBUTES[name];
+
+      this.instance.setOptions({ [key]: parseAttribute(key, value) });
+      return;
+    }
+
+    if ((oldValue === null) === (value === null)) {
+      return;
+    }
+
+    const request = value === null ? this.instance.close() : this.instance.open();
+
+    // The request can be vetoed, keep the attribute in line with the modal
+    request.then(() => {
+      if (this.instance) {
+        this.reflectState(this.instance.getState());
+      }
+    });
+  }
+
+  /**
+   * Reflects the state of the modal to the open attribute
+   * @private
+   * @param {String} state
+   */
+  reflectState(state) {
+    const isOpen = state === 'opening' || state === 'opened';
+
+    if (isOpen === this.open) {
+      return;
+    }
+
+    this.isReflecting = true;
+    this.open = isOpen;
+    this.isReflecting = false;
+  }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get(TAG_NAME)) {
+  customElements.define(TAG_NAME, RemodalDialog);
+}
@@ -1,38 +1,56 @@
 /* eslint-disable */
 
 /**
- * Parses a string with options
+ * Converts a string value if it is like a boolean, null or a number
+ * @private
+ * @param val
+ * @returns {*}
+ */
+export function parseValue(val) {
+  if (typeof val !== 'string' && !(val instanceof String)) {
+    return val;
+  }
+
+  if (val === 'true' || val === 'false') {
+    return val === 'true';
+  }
+
+  if (val === 'null') {
+    return null;
+  }
+
+  // isNaN() takes blank strings for 0
+  return val.trim() !== '' && !isNaN(val) ? +val : val;
+}
+
+/**
+ * Parses a string with options, either JSON or `key: value, key: value`.
+ * Values containing commas can be wrapped in quotes.
  * @private
  * @param str
  * @returns {Object}
  */
 export function parseOptions(str) {
+  var pattern = /([^\s:,]+)\s*:\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^,]*)/g;
   var obj = {};
-  var arr;
-  var len;
+  var match;
   var val;
-  var i;
 
-  // Remove spaces before and after delimiters
-  str = str.replace(/\s*:\s*/g, ':').replace(/\s*,\s*/g, ',');
+  str = str.trim();
 
-  // Parse a string
-  arr = str.split(',');
-  for (i = 0, len = arr.length; i < len; i++) {
-    arr[i] = arr[i].split(':');
-    val = arr[i][1];
+  if (str.charAt(0) === '{') {
+    return JSON.parse(str);
+  }
 
-    // Convert a string value if it is like a boolean
-    if (typeof val === 'string' || val instanceof String) {
-      val = val === 'true' || (val === 'false' ? false : val);
-    }
+  while ((match = pattern.exec(str))) {
+    val = match[2].trim();
 
-    // Convert a string value if it is like a number
-    if (typeof val === 'string' || val instanceof String) {
-      val = !isNaN(val) ? +val : val;
+    // Quoted values are always strings
+    if (/^(["']).*\1$/.test(val)) {
+      obj[match[1]] = val.slice(1, -1);
+    } else {
+      obj[match[1]] = parseValue(val);
     }
-
-    obj[arr[i][0]] = val;
   }
 
   return obj;
@@ -71,7 +89,9 @@ export function show(element) {
 }
 
 export function remove(element) {
-  element.parentNode.removeChild(element);
+  if (element.parentNode) {
+    element.parentNode.removeChild(element);
+  }
 }
 
 export function hasClass(element, className) {
@@ -83,63 +103,163 @@ export function hasClass(element, className) {
 }
 
 // Namespaced events
-// https://gist.github.com/yairEO/cb60592476a4204b27e83048949dbb45
-export var events = {
-  on(events, cb, opts) {
+// Inspired by https://gist.github.com/yairEO/cb60592476a4204b27e83048949dbb45
+// Handlers are kept in a registry instead of the DOM, so that built-in
+// prototypes stay untouched and a namespace can hold any number of handlers
+var registry = new WeakMap();
 
-    // save the namespaces on the DOM element itself
-    if (!this.namespaces) {
-      this.namespaces = {};
-    }
+/**
+ * Adds a handler for space separated namespaced events, e.g. 'click.remodal'
+ * @private
+ * @param {EventTarget} target
+ * @param {String} events
+ * @param {Function} cb
+ * @param {Object|Boolean} opts
+ */
+export function on(target, events, cb, opts) {
+  var handlers = registry.get(target);
+  var options = opts || false;
 
-    function addSingleNSEvent(event) {
-      this.namespaces[event] = cb;
-      var options = opts || false;
+  if (!handlers) {
+    handlers = [];
+    registry.set(target, handlers);
+  }
 
-      this.addEventListener( event.split('.')[0], cb, options );
-      return this;
-    }
+  events.split(' ').forEach(function(event) {
+    var type = event.split('.')[0];
 
-    events = events.split(' ');
+    handlers.push({ event: event, type: type, cb: cb, options: options });
+    target.addEventListener(type, cb, options);
+  });
+}
 
-    for (var i=0, iLen=events.length; i<iLen; i++) {
-      addSingleNSEvent.call(this, events[i]);
-    }
+/**
+ * Removes handlers of space separated namespaced events.
+ * A bare namespace, e.g. '.remodal', matches every event of that namespace.
+ * @private
+ * @param {EventTarget} target
+ * @param {String} events
+ * @param {Function} [cb] Removes only this handler if passed
+ */
+export function off(target, events, cb) {
+  var handlers = registry.get(target);
 
-    return this;
-  },
+  if (!handlers) {
+    return;
+  }
 
-  off(events) {
-    function removeSingleNSEvent(event) {
-      this.removeEventListener( event.split('.')[0], this.namespaces[event] );
-      delete this.namespaces[event];
-      return this;
-    }
+  events.split(' ').forEach(function(event) {
+    var isNamespace = event.charAt(0) === '.';
 
-    events = events.split(' ');
+    for (var i = handlers.length; i--;) {
+      var handler = handlers[i];
+      var matches = isNamespace
+        ? handler.event.slice(handler.type.length) === event
+        : handler.event === event;
 
-    for (var i=0, iLen=events.length; i<iLen; i++) {
-      removeSingleNSEvent.call(this, events[i]);
+      if (matches && (!cb || handler.cb === cb)) {
+        target.removeEventListener(handler.type, handler.cb, handler.options);
+        handlers.splice(i, 1);
+      }
     }
-    return this;
-  }
+  });
 }
-// Extend the DOM with these above custom methods
-window.addNSEventListener = document.addNSEventListener = Element.prototype.addNSEventListener = events.on;
-window.removeNSEventListener = document.removeNSEventListener = Element.prototype.removeNSEventListener = events.off;
 
 
-export function triggerEvent(el, eventType, data = {}) {
+/**
+ * Dispatches a custom event
+ * @private
+ * @param {Element} el
+ * @param {String} eventType
+ * @param {Object} data Detail of the event
+ * @param {Boolean} cancelable
+ * @param {Boolean} bubbles
+ * @returns {Boolean} False if a listener has prevented the default action
+ */
+export function triggerEvent(el, eventType, data = {}, cancelable = false, bubbles = false) {
   if (window.CustomEvent) {
-    var event = new CustomEvent(eventType, {detail: data});
+    var event = new CustomEvent(eventType, {detail: data, cancelable: cancelable, bubbles: bubbles});
   } else {
     var event = document.createEvent('CustomEvent');
-    event.initCustomEvent(eventType, true, true, data);
+    event.initCustomEvent(eventType, bubbles, cancelable, data);
   }
 
-  el.dispatchEvent(event);
+  return el.dispatchEvent(event);
+}
+
+
+/**
+ * Creates a promise along with its resolve function
+ * @private
+ * @returns {{promise: Promise, resolve: Function}}
+ */
+export function createDeferred() {
+  var deferred = {};
+
+  deferred.promise = new Promise(function(resolve) {
+    deferred.resolve = resolve;
+  });
+
+  return deferred;
+}
+
+/**
+ * Converts FormData to a plain object, repeated names become arrays
+ * @private
+ * @param {FormData} formData
+ * @returns {Object}
+ */
+export function formDataToObject(formData) {
+  var obj = {};
+
+  formData.forEach(function(value, name) {
+    if (!Object.prototype.hasOwnProperty.call(obj, name)) {
+      obj[name] = value;
+    } else if (Array.isArray(obj[name])) {
+      obj[name].push(value);
+    } else {
+      obj[name] = [obj[name], value];
+    }
+  });
+
+  return obj;
 }
 
+/**
+ * Selector of elements which can receive the focus
+ * @private
+ */
+var FOCUSABLE_ELEMENTS = [
+  'a[href]',
+  'area[href]',
+  'button',
+  'input:not([type="hidden"])',
+  'select',
+  'textarea',
+  'iframe',
+  'object',
+  'embed',
+  'audio[controls]',
+  'video[controls]',
+  '[contenteditable]',
+  '[tabindex]'
+].join(',');
+
+/**
+ * Returns visible elements of a container which are reachable with the Tab key
+ * @private
+ * @param {Element} container
+ * @returns {Element[]}
+ */
+export function getFocusableElements(container) {
+  var elements = container.querySelectorAll(FOCUSABLE_ELEMENTS);
+
+  return Array.prototype.filter.call(elements, function(el) {
+    return !el.disabled
+      && el.getAttribute('tabindex') !== '-1'
+      && (el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+  });
+}
 
 export function getStyle(elem, style) {
   let styleList = window.getComputedStyle(elem);
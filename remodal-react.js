@@ -0,0 +1,236 @@
+import {
+  useCallback,
+  useEffect,
+  useRef,
+  useState
+} from 'react';
+import { createPortal } from 'react-dom';
+import initRemodal from './index';
+
+/**
+ * Events of the state changes
+ * @private
+ * @const
+ * @type {String[]}
+ */
+const STATE_EVENTS = ['opening', 'opened', 'closing', 'closed'];
+
+/**
+ * The remodal factory, initialized on first use
+ * @private
+ * @type {Function}
+ */
+let factory;
+
+/**
+ * Compares the own values of two option objects, so inline objects
+ * don't change the options on every render
+ * @private
+ * @param {Object} [a]
+ * @param {Object} [b]
+ * @returns {Boolean}
+ */
+function isShallowEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+
+  if (!a || !b) {
+    return false;
+  }
+
+  const keys = Object.keys(a);
+
+  return keys.length === Object.keys(b).length
+    && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && a[key] === b[key]);
+}
+
+/**
+ * Creates a Remodal instance for the lifetime of a component.
+ * Remodal moves its element into a wrapper, so the element is created here
+ * and React renders into it through a portal instead of owning it.
+ * @public
+ * @param {Object} [options] Options of the instance, changes go to setOptions()
+ * @param {Object} [config]
+ * @param {String} [config.id] Value of the data-remodal-id attribute
+ * @param {String} [config.className] Extra classes of the modal
+ * @returns {Object} The instance, its state, open(), close()
+ * and portal(children) which renders the content into the modal
+ */
+export function useRemodal(options, { id, className } = {}) {
+  const [instance, setInstance] = useState(null);
+  const [state, setState] = useState('closed');
+  const optionsRef = useRef(options);
+  const appliedOptionsRef = useRef(options);
+
+  optionsRef.current = options;
+
+  // Each mount gets its own instance, so a StrictMode remount never reuses a destroyed one
+  useEffect(() => {
+    const element = document.createElement('div');
+    const handleStateChange = e => setState(e.type);
+
+    if (!factory) {
+      factory = initRemodal();
+    }
+
+    element.className = ['remodal', className].filter(Boolean).join(' ');
+
+    if (id) {
+      element.setAttribute('data-remodal-id', id);
+    }
+
+    STATE_EVENTS.forEach(type => element.addEventListener(type, handleStateChange));
+
+    const created = factory(element, optionsRef.current);
+
+    appliedOptionsRef.current = optionsRef.current;
+
+    setInstance(created);
+    setState(created.getState());
+
+    return () => {
+      STATE_EVENTS.forEach(type => element.removeEventListener(type, handleStateChange));
+      created.destroy();
+      setInstance(null);
+    };
+  }, [id, className]);
+
+  useEffect(() => {
+    if (instance && options && !isShallowEqual(options, appliedOptionsRef.current)) {
+      instance.setOptions(options);
+      appliedOptionsRef.current = options;
+    }
+  }, [instance, options]);
+
+  const open = useCallback(
+    () => (instance ? instance.open() : Promise.resolve(false)),
+    [instance]
+  );
+
+  const close = useCallback(
+    reason => (instance ? instance.close(reason) : Promise.resolve(false)),
+    [instance]
+  );
+
+  const portal = useCallback(
+    children => (instance ? createPortal(children, instance.modal) : null),
+    [instance]
+  );
+
+  return {
+    instance,
+    state,
+    open,
+    close,
+    portal
+  };
+}
+
+/**
+ * Controlled modal component.
+ * onClose is called once with the reason as soon as the modal starts closing on its own,
+ * e.g. on Escape, and should set `open` to false. Closes requested by `open` don't call it.
+ * @public
+ * @param {Object} props
+ * @param {Boolean} props.open
+ * @param {Function} [props.onClose]
+ * @param {Function} [props.onOpen] Called once the modal is opened
+ * @param {Object} [props.options] Remodal options
+ * @param {String} [props.id] Value of the data-remodal-id attribute
+ * @param {String} [props.className] Extra classes of the modal
+ * @param {*} props.children
+ */
+export function Remodal({
+  open = false,
+  onClose,
+  onOpen,
+  options,
+  id,
+  className,
+  children
+}) {
+  const isMounted = useRef(false);
+
+  // Declared before useRemodal, so its cleanup runs before the instance is destroyed
+  useEffect(() => {
+    isMounted.current = true;
+
+    return () => {
+      isMounted.current = false;
+    };
+  }, []);
+
+  const modal = useRemodal(options, { id, className });
+  const { instance } = modal;
+  const callbacks = useRef({});
+
+  callbacks.current = { onClose, onOpen, open };
+
+  useEffect(() => {
+    if (!instance) {
+      return undefined;
+    }
+
+    // Was the current dismissal seen on closing already?
+    let isClosing = false;
+
+    const reportClose = ({ detail }) => {
+      // The parent has already asked for this close through the open prop or unmounts the modal
+      if (isMounted.current && callbacks.current.open && callbacks.current.onClose) {
+        callbacks.current.onClose(detail.reason);
+      }
+    };
+
+    const handleOpening = () => {
+      isClosing = false;
+    };
+
+    const handleOpened = () => {
+      if (callbacks.current.onOpen) {
+        callbacks.current.onOpen();
+      }
+    };
+
+    const handleClosing = (e) => {
+      isClosing = true;
+      reportClose(e);
+    };
+
+    // Immediate closes, e.g. the browser closing a native dialog, skip the closing state
+    const handleClosed = (e) => {
+      if (!isClosing) {
+        reportClose(e);
+      }
+
+      isClosing = false;
+    };
+
+    const listeners = {
+      opening: handleOpening,
+      opened: handleOpened,
+      closing: handleClosing,
+      closed: handleClosed
+    };
+
+    Object.keys(listeners).forEach(type => instance.modal.addEventListener(type, listeners[type]));
+
+    return () => {
+      Object.keys(listeners).forEach(type => instance.modal.removeEventListener(type, listeners[type]));
+    };
+  }, [instance]);
+
+  useEffect(() => {
+    if (!instance) {
+      return;
+    }
+
+    if (open) {
+      instance.open();
+    } else {
+      instance.close();
+    }
+  }, [instance, open]);
+
+  return modal.portal(children);
+}